@@ -1,7 +1,25 @@
 import { useState, useRef, useEffect } from 'react'
-import { BoardProvider } from './store.jsx'
+import { BoardProvider, useBoards } from './store.jsx'
 import Board from './components/Board.jsx'
 import WebMCPTools from './components/WebMCPTools.jsx'
+import HistoryControls from './components/HistoryControls.jsx'
+import { AnnouncerProvider } from './components/LiveAnnouncer.jsx'
+import FilterBar from './components/FilterBar.jsx'
+import ExchangeMenu from './components/ExchangeMenu.jsx'
+import BoardSwitcher from './components/BoardSwitcher.jsx'
+import RecoveryNotice from './components/RecoveryNotice.jsx'
+import ActivityPanel from './components/ActivityPanel.jsx'
+import ApprovalDialog from './components/ApprovalDialog.jsx'
+import SettingsMenu from './components/SettingsMenu.jsx'
+import OverdueToggle from './components/OverdueToggle.jsx'
+import MetricsPanel from './components/MetricsPanel.jsx'
+import LabelManager from './components/LabelManager.jsx'
+import MemberManager from './components/MemberManager.jsx'
+import ArchivePanel from './components/ArchivePanel.jsx'
+import TemplateManager from './components/TemplateManager.jsx'
+import { FilterProvider } from './filter.jsx'
+import { ActivityProvider } from './activity.jsx'
+import { ApprovalProvider } from './approval.jsx'
 
 function ConnectDropdown() {
   const [open, setOpen] = useState(false)
@@ -59,29 +77,60 @@ function ConnectDropdown() {
   )
 }
 
+// Remounts the board on switch so per-board UI state (open card, keyboard
+// pick-up) does not leak from one board into another.
+function ActiveBoard() {
+  const { activeBoardId } = useBoards()
+  return <Board key={activeBoardId} />
+}
+
 function App() {
   return (
     <BoardProvider>
-      <WebMCPTools />
-      <div className="min-h-screen">
-        <header className="bg-white shadow-sm border-b border-gray-200">
-          <div className="max-w-7xl mx-auto px-4 py-4 flex items-center justify-between">
-            <div>
-              <h1 className="text-xl font-bold text-gray-900">WebMCP Kanban Board</h1>
-              <p className="text-sm text-gray-500">AI agents can manage this board via WebMCP tools</p>
-            </div>
-            <div className="flex items-center gap-3">
-              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
-                WebMCP Active
-              </span>
-              <ConnectDropdown />
-            </div>
-          </div>
-        </header>
-        <main className="max-w-7xl mx-auto px-4 py-6">
-          <Board />
-        </main>
-      </div>
+      <AnnouncerProvider>
+        <ApprovalProvider>
+          <ActivityProvider>
+            <FilterProvider>
+              <WebMCPTools />
+              <ApprovalDialog />
+              <div className="min-h-screen">
+                <header className="bg-white shadow-sm border-b border-gray-200">
+                  <div className="max-w-7xl mx-auto px-4 py-4 flex items-center justify-between">
+                    <div>
+                      <h1 className="text-xl font-bold text-gray-900">WebMCP Kanban Board</h1>
+                      <div className="flex items-center gap-2">
+                        <BoardSwitcher />
+                        <p className="text-sm text-gray-500">AI agents can manage this board via WebMCP tools</p>
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <OverdueToggle />
+                      <HistoryControls />
+                      <ExchangeMenu />
+                      <MemberManager />
+                      <LabelManager />
+                      <TemplateManager />
+                      <ArchivePanel />
+                      <MetricsPanel />
+                      <ActivityPanel />
+                      <SettingsMenu />
+                      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                        WebMCP Active
+                      </span>
+                      <ConnectDropdown />
+                    </div>
+                  </div>
+                  <FilterBar />
+                </header>
+                <main className="max-w-7xl mx-auto px-4 py-6">
+                  <RecoveryNotice />
+                  <ActiveBoard />
+                </main>
+              </div>
+            </FilterProvider>
+          </ActivityProvider>
+        </ApprovalProvider>
+      </AnnouncerProvider>
     </BoardProvider>
   )
 }
@@ -0,0 +1,167 @@
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react'
+import { z } from 'zod'
+import { useBoardHistory } from './store.jsx'
+import { activityEntrySchema } from './schema.js'
+import { load, save } from './persistence.js'
+
+const ACTIVITY_KEY = 'webmcp-kanban-activity'
+export const ACTIVITY_LIMIT = 200
+// Results bigger than this (e.g. a full get_board) are stored as a preview
+const RESULT_PREVIEW_LENGTH = 2000
+const HIGHLIGHT_MS = 8000
+
+export const EMPTY_ACTIVITY_FILTER = { tool: '', status: 'all', text: '' }
+
+// Shared by the activity panel and the get_activity tool. `status` is
+// 'all', 'success' or 'error'; every word of `text` must appear in the tool
+// name, arguments, result or error.
+export function matchesActivity(entry, filter) {
+  if (filter.tool && entry.tool !== filter.tool) return false
+  if (filter.status === 'success' && !entry.success) return false
+  if (filter.status === 'error' && entry.success) return false
+  const words = filter.text.toLowerCase().split(/\s+/).filter(Boolean)
+  if (words.length > 0) {
+    const haystack = [entry.tool, JSON.stringify(entry.args), JSON.stringify(entry.result), entry.error]
+      .join('\n')
+      .toLowerCase()
+    if (!words.every(word => haystack.includes(word))) return false
+  }
+  return true
+}
+
+function compact(result) {
+  const text = JSON.stringify(result) ?? ''
+  return text.length > RESULT_PREVIEW_LENGTH
+    ? { truncated: true, preview: text.slice(0, RESULT_PREVIEW_LENGTH) }
+    : result
+}
+
+// Newest first, one copy of each entry, at most ACTIVITY_LIMIT
+function mergeEntries(...lists) {
+  const byId = new Map(lists.flat().map(entry => [entry.id, entry]))
+  return [...byId.values()].sort((a, b) => b.at.localeCompare(a.at)).slice(0, ACTIVITY_LIMIT)
+}
+
+function loadActivity() {
+  return load(ACTIVITY_KEY, z.array(activityEntrySchema)) ?? []
+}
+
+const FIELD_NAMES = { startDate: 'start date', dueDate: 'due date' }
+
+// What an agent change did to each card it touched, as a short badge text.
+function describeCardChanges(before, after) {
+  const previous = new Map(before.cards.map(c => [c.id, c]))
+  const changes = new Map()
+  for (const card of after.cards) {
+    const old = previous.get(card.id)
+    if (!old) {
+      changes.set(card.id, 'created by agent')
+    } else if (old.column !== card.column) {
+      changes.set(card.id, `moved by agent from ${before.columnMeta[old.column]?.title ?? old.column}`)
+    } else {
+      const fields = ['title', 'description', 'priority', 'labels', 'assignees', 'startDate', 'dueDate', 'checklist'].filter(field =>
+        JSON.stringify(old[field] ?? null) !== JSON.stringify(card[field] ?? null)
+      )
+      const commented = (card.comments?.length ?? 0) > (old.comments?.length ?? 0)
+      if (commented && fields.length === 0) changes.set(card.id, 'commented on by agent')
+      else if (fields.length === 1) changes.set(card.id, `${FIELD_NAMES[fields[0]] ?? fields[0]} changed by agent`)
+      else if (fields.length > 1) changes.set(card.id, 'edited by agent')
+      else if (old.rank !== card.rank) changes.set(card.id, 'reordered by agent')
+    }
+  }
+  return changes
+}
+
+const ActivityContext = createContext(null)
+const HighlightContext = createContext({})
+
+// Owns the persisted log of WebMCP tool calls, and the short-lived
+// highlights on cards an agent has just changed. Highlights come from the
+// board history rather than the log, so changes an agent makes in another
+// tab are highlighted here too.
+export function ActivityProvider({ children }) {
+  const [entries, setEntries] = useState(loadActivity)
+  const [highlights, setHighlights] = useState({})
+  const { past, present } = useBoardHistory()
+  const lastEntry = past[past.length - 1]
+  // Redo re-adds old entries, so only entries newer than anything seen count
+  const seenAtRef = useRef(lastEntry?.at ?? '')
+
+  useEffect(() => {
+    save(ACTIVITY_KEY, entries)
+  }, [entries])
+
+  // Other tabs' tool calls
+  useEffect(() => {
+    function handleStorage(e) {
+      if (e.key !== ACTIVITY_KEY) return
+      setEntries(current => {
+        const merged = mergeEntries(current, loadActivity())
+        // Unchanged lists keep their identity, so tabs do not echo saves back and forth
+        return merged.every((entry, i) => entry.id === current[i]?.id) && merged.length === current.length
+          ? current
+          : merged
+      })
+    }
+    window.addEventListener('storage', handleStorage)
+    return () => window.removeEventListener('storage', handleStorage)
+  }, [])
+
+  useEffect(() => {
+    if (!lastEntry || lastEntry.at <= seenAtRef.current) return
+    const fresh = past
+      .map((entry, i) => ({ entry, after: past[i + 1]?.state ?? present }))
+      .filter(({ entry }) => entry.at > seenAtRef.current && entry.source === 'agent')
+    seenAtRef.current = lastEntry.at
+    if (fresh.length === 0) return
+
+    const added = {}
+    for (const { entry, after } of fresh) {
+      for (const [cardId, text] of describeCardChanges(entry.state, after)) {
+        added[cardId] = { text, at: entry.at }
+      }
+    }
+    setHighlights(current => ({ ...current, ...added }))
+    // Not cleared when a newer change arrives: each batch expires on its own
+    setTimeout(() => {
+      setHighlights(current => Object.fromEntries(
+        Object.entries(current).filter(([cardId, h]) => added[cardId]?.at !== h.at)
+      ))
+    }, HIGHLIGHT_MS)
+  }, [lastEntry, past, present])
+
+  // Failures are either a thrown error or a `{ success: false, error }` result
+  const record = useCallback((tool, args, result, error) => {
+    const failed = !!error || result?.success === false
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      tool,
+      args: args ?? {},
+      success: !failed,
+      ...(result !== undefined && { result: compact(result) }),
+      ...(failed && { error: error?.message ?? result?.error ?? 'Unknown error' }),
+    }
+    setEntries(current => mergeEntries([entry], current))
+  }, [])
+
+  const clear = useCallback(() => setEntries([]), [])
+
+  return (
+    <ActivityContext.Provider value={{ entries, record, clear }}>
+      <HighlightContext.Provider value={highlights}>
+        {children}
+      </HighlightContext.Provider>
+    </ActivityContext.Provider>
+  )
+}
+
+// `{ entries, record, clear }`; entries are newest first.
+export function useActivity() {
+  return useContext(ActivityContext)
+}
+
+// `{ text, at }` while a card is highlighted after an agent change
+export function useAgentHighlight(cardId) {
+  return useContext(HighlightContext)[cardId]
+}
@@ -0,0 +1,155 @@
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react'
+import { z } from 'zod'
+import { applyBatch, useBoards, useBoardsDispatch } from './store.jsx'
+import { load, save } from './persistence.js'
+
+const POLICY_KEY = 'webmcp-kanban-approval-policy'
+export const APPROVAL_TIMEOUT_MS = 60000
+
+// 'allow' runs the tool straight away, 'confirm' asks the person at the
+// board first, 'deny' refuses every call.
+export const POLICIES = ['allow', 'confirm', 'deny']
+
+// Tools not listed here are allowed
+export const DEFAULT_POLICY = {
+  delete_card: 'confirm',
+  delete_column: 'confirm',
+  import_board: 'confirm',
+}
+
+const policySchema = z.record(z.enum(POLICIES))
+
+const ApprovalContext = createContext(null)
+
+// Whether each of `actions`, replayed in order on `root`, changes the board
+// it is for. The actions in a batch are checked one by one.
+function effects(root, actions) {
+  const states = {}
+  return actions.flatMap(action => {
+    const boardId = action.boardId ?? root.activeBoardId
+    const steps = action.type === 'BATCH' ? action.payload.actions : [action]
+    return steps.map(step => {
+      const state = states[boardId] ?? root.boards[boardId]?.present
+      if (!state) return false
+      states[boardId] = applyBatch(state, [step])
+      return states[boardId] !== state
+    })
+  })
+}
+
+// Holds the per-tool approval policy and the queue of tool calls waiting for
+// a decision.
+//
+// A tool that needs confirmation is run once with its dispatches captured
+// instead of applied. Tool handlers dispatch synchronously, before their
+// first await, so the capture only ever sees that one call's actions. The
+// captured actions are the preview shown to the user, and are dispatched
+// unchanged if the call is approved. The board may change while the user
+// decides; if any action would then no longer take effect (its card was
+// deleted, its column filled up), none are dispatched and the call reports
+// that it went stale.
+export function ApprovalProvider({ children }) {
+  const root = useBoards()
+  const rootRef = useRef(root)
+  rootRef.current = root
+  const rootDispatch = useBoardsDispatch()
+  const [policy, setPolicy] = useState(() => ({ ...DEFAULT_POLICY, ...load(POLICY_KEY, policySchema) }))
+  // Names of the registered tools, for the settings menu
+  const [tools, setTools] = useState([])
+  // { id, tool, args, actions, expiresAt, settle(decision) }
+  const [pending, setPending] = useState([])
+  const captureRef = useRef(null)
+  const policyRef = useRef(policy)
+
+  useEffect(() => {
+    policyRef.current = policy
+    save(POLICY_KEY, policy)
+  }, [policy])
+
+  const registerTool = useCallback((name) => {
+    setTools(current => (current.includes(name) ? current : [...current, name].sort()))
+  }, [])
+
+  const dispatch = useCallback((action) => {
+    if (captureRef.current) captureRef.current.push(action)
+    else rootDispatch(action)
+  }, [rootDispatch])
+
+  // Resolves to 'approved', 'rejected' or 'timeout'
+  const requestApproval = useCallback((request) => new Promise(resolve => {
+    const id = crypto.randomUUID()
+    const settle = (decision) => {
+      clearTimeout(timer)
+      setPending(current => current.filter(r => r.id !== id))
+      resolve(decision)
+    }
+    const timer = setTimeout(() => settle('timeout'), APPROVAL_TIMEOUT_MS)
+    setPending(current => [...current, { ...request, id, expiresAt: Date.now() + APPROVAL_TIMEOUT_MS, settle }])
+  }), [])
+
+  // Wraps a tool handler with the policy for `tool`. Rejections come back as
+  // structured results, with `approval` saying why, so agents can react.
+  // `relatedTools(args)` names other tools whose work this call does (e.g. a
+  // batch that deletes cards); the strictest of all their policies applies.
+  const gate = useCallback((tool, handler, relatedTools) => async (args) => {
+    const names = [tool, ...(relatedTools?.(args) ?? [])]
+    const modeOf = (name) => policyRef.current[name] ?? 'allow'
+    const blocked = names.find(name => modeOf(name) === 'deny')
+    if (blocked) {
+      return { success: false, approval: 'denied', error: `The ${blocked} tool is blocked in this board's settings` }
+    }
+    if (names.every(name => modeOf(name) === 'allow')) return handler(args)
+
+    const before = rootRef.current
+    captureRef.current = []
+    const run = handler(args)
+    const actions = captureRef.current
+    captureRef.current = null
+    const result = await run
+    // Nothing would change (a read, or a call that failed validation)
+    if (actions.length === 0) return result
+
+    const decision = await requestApproval({ tool, args, actions })
+    if (decision === 'approved') {
+      const expected = effects(before, actions)
+      const now = effects(rootRef.current, actions)
+      if (expected.some((changes, i) => changes && !now[i])) {
+        return {
+          success: false,
+          approval: 'stale',
+          error: 'The board changed while awaiting approval and the call no longer applies; nothing was changed',
+        }
+      }
+      actions.forEach(rootDispatch)
+      return result
+    }
+    return decision === 'rejected'
+      ? { success: false, approval: 'rejected', error: 'Rejected by user; nothing was changed' }
+      : {
+          success: false,
+          approval: 'timeout',
+          error: `Timed out after ${APPROVAL_TIMEOUT_MS / 1000}s awaiting approval; nothing was changed`,
+        }
+  }, [requestApproval, rootDispatch])
+
+  const setToolPolicy = useCallback((tool, mode) => {
+    setPolicy(current => ({ ...current, [tool]: mode }))
+  }, [])
+
+  const resetPolicy = useCallback(() => setPolicy(DEFAULT_POLICY), [])
+
+  return (
+    <ApprovalContext.Provider
+      value={{ policy, tools, pending, dispatch, gate, registerTool, setToolPolicy, resetPolicy }}
+    >
+      {children}
+    </ApprovalContext.Provider>
+  )
+}
+
+// `{ policy, tools, pending, dispatch, gate, registerTool, setToolPolicy,
+// resetPolicy }`. `dispatch` must be used for every agent action so that
+// confirmations can capture it.
+export function useApproval() {
+  return useContext(ApprovalContext)
+}
@@ -0,0 +1,36 @@
+import { transitionsOf } from './metrics.js'
+
+// Archived cards live in the board's `archived` list rather than `cards`,
+// so the board, WIP limits, filters and tools that read `cards` never see
+// them. Each keeps the column it was in and gains `archivedAt`.
+
+const DAY_MS = 86400000
+
+// When a card in the last column got there
+export function finishedAt(card, state) {
+  const done = state.columns[state.columns.length - 1]
+  if (card.column !== done) return null
+  return transitionsOf(card).filter(t => t.column === done).at(-1)?.at ?? card.createdAt
+}
+
+// Cards in the last column for more than the board's auto-archive period
+export function cardsToAutoArchive(state, now = Date.now()) {
+  if (!state.autoArchiveDays) return []
+  const cutoff = now - state.autoArchiveDays * DAY_MS
+  return state.cards.filter(card => {
+    const at = finishedAt(card, state)
+    return at && Date.parse(at) < cutoff
+  })
+}
+
+// Archived cards matching every word of `query` in the title or
+// description, most recently archived first
+export function searchArchived(state, query = '') {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean)
+  return (state.archived ?? [])
+    .filter(card => {
+      const haystack = `${card.title}\n${card.description}`.toLowerCase()
+      return words.every(word => haystack.includes(word))
+    })
+    .sort((a, b) => b.archivedAt.localeCompare(a.archivedAt))
+}
@@ -0,0 +1,14 @@
+// Card comments are `{ id, author, text, createdAt, editedAt? }`, oldest
+// first. `author` is 'human' or 'agent' and is taken from who dispatched
+// the comment, not from the payload, so an agent can't post as a person.
+// Either side may only edit or delete its own comments.
+
+export const COMMENT_AUTHORS = ['human', 'agent']
+
+export function makeCommentId() {
+  return `comment-${crypto.randomUUID().slice(0, 8)}`
+}
+
+export function commentAuthor(action) {
+  return action.meta?.source === 'agent' ? 'agent' : 'human'
+}
@@ -0,0 +1,120 @@
+import { useState, useRef, useEffect } from 'react'
+import { useActivity, matchesActivity, EMPTY_ACTIVITY_FILTER } from '../activity.jsx'
+
+function formatTime(at) {
+  return new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+}
+
+function ActivityEntry({ entry }) {
+  return (
+    <li className="border-b border-gray-100 last:border-0">
+      <details className="group">
+        <summary className="flex items-center gap-2 py-1.5 cursor-pointer list-none">
+          <span
+            className={`w-2 h-2 rounded-full flex-shrink-0 ${entry.success ? 'bg-green-500' : 'bg-red-500'}`}
+            aria-label={entry.success ? 'Succeeded' : 'Failed'}
+          />
+          <span className="font-mono text-xs text-gray-900">{entry.tool}</span>
+          {!entry.success && <span className="text-xs text-red-600 truncate">{entry.error}</span>}
+          <time dateTime={entry.at} className="ml-auto text-xs text-gray-400 flex-shrink-0">
+            {formatTime(entry.at)}
+          </time>
+        </summary>
+        <div className="pb-2 space-y-1 text-xs">
+          <p className="text-gray-500">Arguments</p>
+          <pre className="bg-gray-50 rounded p-2 overflow-x-auto text-gray-700">{JSON.stringify(entry.args, null, 2)}</pre>
+          {entry.result !== undefined && (
+            <>
+              <p className="text-gray-500">Result</p>
+              <pre className="bg-gray-50 rounded p-2 overflow-x-auto max-h-40 text-gray-700">{JSON.stringify(entry.result, null, 2)}</pre>
+            </>
+          )}
+        </div>
+      </details>
+    </li>
+  )
+}
+
+export default function ActivityPanel() {
+  const { entries, clear } = useActivity()
+  const [open, setOpen] = useState(false)
+  const [filter, setFilter] = useState(EMPTY_ACTIVITY_FILTER)
+  const ref = useRef(null)
+  const tools = [...new Set(entries.map(e => e.tool))].sort()
+  const visible = entries.filter(entry => matchesActivity(entry, filter))
+  const update = (changes) => setFilter({ ...filter, ...changes })
+
+  useEffect(() => {
+    if (!open) return
+    function handleClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="inline-flex items-center gap-1 px-3 py-1 rounded-md text-xs font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+      >
+        Activity
+        {entries.length > 0 && <span className="text-gray-400">{entries.length}</span>}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-[28rem] bg-white rounded-lg shadow-lg border border-gray-200 z-50 p-4 text-sm text-gray-700">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-semibold text-gray-900">Agent activity</h3>
+            {entries.length > 0 && (
+              <button onClick={clear} className="text-xs text-gray-500 hover:text-gray-700">
+                Clear log
+              </button>
+            )}
+          </div>
+
+          <div className="flex gap-2 mb-2">
+            <input
+              value={filter.text}
+              onChange={(e) => update({ text: e.target.value })}
+              placeholder="Search arguments and results..."
+              aria-label="Search activity"
+              className="flex-1 min-w-0 text-xs border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <select
+              value={filter.tool}
+              onChange={(e) => update({ tool: e.target.value })}
+              aria-label="Tool"
+              className="text-xs border border-gray-300 rounded px-1 py-1 text-gray-600"
+            >
+              <option value="">All tools</option>
+              {tools.map(tool => <option key={tool} value={tool}>{tool}</option>)}
+            </select>
+            <select
+              value={filter.status}
+              onChange={(e) => update({ status: e.target.value })}
+              aria-label="Status"
+              className="text-xs border border-gray-300 rounded px-1 py-1 text-gray-600"
+            >
+              <option value="all">Any result</option>
+              <option value="success">Succeeded</option>
+              <option value="error">Failed</option>
+            </select>
+          </div>
+
+          {visible.length === 0 ? (
+            <p className="text-xs text-gray-500 py-4 text-center">
+              {entries.length === 0 ? 'No tool calls yet.' : 'No calls match the filter.'}
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto">
+              {visible.map(entry => <ActivityEntry key={entry.id} entry={entry} />)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,29 +1,43 @@
 import { useState } from 'react'
-import { useBoardDispatch } from '../store.jsx'
+import { useBoardState, useBoardDispatch } from '../store.jsx'
+import { cardFromTemplate } from '../templates.js'
 
-export default function AddCardForm({ columnId }) {
+export default function AddCardForm({ columnId, disabled }) {
+  const state = useBoardState()
   const dispatch = useBoardDispatch()
   const [isOpen, setIsOpen] = useState(false)
   const [title, setTitle] = useState('')
   const [priority, setPriority] = useState('medium')
+  const [templateId, setTemplateId] = useState('')
+  const templates = state.templates ?? []
+  const template = templates.find(t => t.id === templateId)
+
+  const chooseTemplate = (id) => {
+    setTemplateId(id)
+    setPriority(templates.find(t => t.id === id)?.priority ?? 'medium')
+  }
 
   const handleSubmit = (e) => {
     e.preventDefault()
-    if (!title.trim()) return
-    dispatch({
-      type: 'ADD_CARD',
-      payload: { title: title.trim(), priority, column: columnId },
-    })
+    if (!title.trim() && !template) return
+    // The card goes in this column even if the template names another
+    const payload = template
+      ? { ...cardFromTemplate(state, template, { title, column: columnId }), priority }
+      : { title: title.trim(), priority, column: columnId }
+    dispatch({ type: 'ADD_CARD', payload })
     setTitle('')
     setPriority('medium')
+    setTemplateId('')
     setIsOpen(false)
   }
 
-  if (!isOpen) {
+  if (!isOpen || disabled) {
     return (
       <button
         onClick={() => setIsOpen(true)}
-        className="w-full text-left text-sm text-gray-400 hover:text-gray-600 py-1 px-2 rounded hover:bg-gray-100 transition-colors"
+        disabled={disabled}
+        title={disabled ? 'This column is at its WIP limit' : undefined}
+        className="w-full text-left text-sm text-gray-400 hover:text-gray-600 py-1 px-2 rounded hover:bg-gray-100 transition-colors disabled:cursor-not-allowed disabled:hover:bg-transparent disabled:hover:text-gray-400"
       >
         + Add a card
       </button>
@@ -37,9 +51,23 @@ export default function AddCardForm({ columnId }) {
         value={title}
         onChange={(e) => setTitle(e.target.value)}
         onKeyDown={(e) => e.key === 'Escape' && setIsOpen(false)}
-        placeholder="Card title..."
+        placeholder={template ? template.title : 'Card title...'}
+        aria-label="Card title"
         className="w-full text-sm border border-gray-300 rounded px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
       />
+      {templates.length > 0 && (
+        <select
+          value={templateId}
+          onChange={(e) => chooseTemplate(e.target.value)}
+          aria-label="Template"
+          className="w-full text-xs border border-gray-300 rounded px-2 py-1 text-gray-600"
+        >
+          <option value="">No template</option>
+          {templates.map(t => (
+            <option key={t.id} value={t.id}>{t.name}</option>
+          ))}
+        </select>
+      )}
       <select
         value={priority}
         onChange={(e) => setPriority(e.target.value)}
@@ -0,0 +1,55 @@
+import { useState } from 'react'
+import { useBoardDispatch } from '../store.jsx'
+
+export default function AddColumnForm() {
+  const dispatch = useBoardDispatch()
+  const [isOpen, setIsOpen] = useState(false)
+  const [title, setTitle] = useState('')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!title.trim()) return
+    dispatch({ type: 'ADD_COLUMN', payload: { title: title.trim() } })
+    setTitle('')
+    setIsOpen(false)
+  }
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="h-12 rounded-lg border-2 border-dashed border-gray-300 text-sm text-gray-400 hover:text-gray-600 hover:border-gray-400 transition-colors"
+      >
+        + Add column
+      </button>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="self-start rounded-lg border-2 border-gray-200 bg-gray-50 p-2 space-y-2">
+      <input
+        autoFocus
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        onKeyDown={(e) => e.key === 'Escape' && setIsOpen(false)}
+        placeholder="Column title..."
+        className="w-full text-sm border border-gray-300 rounded px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors"
+        >
+          Add
+        </button>
+        <button
+          type="button"
+          onClick={() => setIsOpen(false)}
+          className="text-xs text-gray-500 hover:text-gray-700"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
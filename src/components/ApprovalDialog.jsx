@@ -0,0 +1,130 @@
+import { useEffect, useState } from 'react'
+import { useBoards, describeAction, applyBatch } from '../store.jsx'
+import { useApproval } from '../approval.jsx'
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none'
+  return value === '' || value === undefined || value === null ? 'empty' : String(value)
+}
+
+// One line per pending action, plus field-by-field changes for card updates.
+function describePending(action, root) {
+  const { payload = {} } = action
+  const boardId = action.boardId ?? root.activeBoardId
+  const board = root.boardList.find(b => b.id === boardId)
+  const history = root.boards[boardId]
+  switch (action.type) {
+    case 'CREATE_BOARD':
+      return { label: `Create board "${payload.name}"` }
+    case 'SWITCH_BOARD':
+      return { label: `Show board "${root.boardList.find(b => b.id === payload.id)?.name ?? payload.id}"` }
+    case 'UNDO':
+      return { label: `Undo "${history?.past.at(-1)?.label ?? 'last change'}"`, board }
+    case 'REDO':
+      return { label: `Redo "${history?.future[0]?.label ?? 'next change'}"`, board }
+    case 'BATCH': {
+      // Each step is described against the board as the steps before it leave it
+      let state = history.present
+      const steps = action.payload.actions.map(step => {
+        const label = describeAction(step, state)
+        state = applyBatch(state, [step])
+        return label
+      })
+      return { label: describeAction(action, history.present), board, steps }
+    }
+    case 'UPDATE_CARD': {
+      const card = history?.present.cards.find(c => c.id === payload.cardId)
+      const changes = Object.entries(payload.updates ?? {}).map(([field, to]) => ({
+        field,
+        from: formatValue(card?.[field]),
+        to: formatValue(to),
+      }))
+      return { label: describeAction(action, history.present), board, changes }
+    }
+    default:
+      return { label: history ? describeAction(action, history.present) : action.type, board }
+  }
+}
+
+// Shows the oldest tool call awaiting confirmation. Reject has focus, so an
+// accidental Enter never approves a destructive change.
+export default function ApprovalDialog() {
+  const { pending } = useApproval()
+  const root = useBoards()
+  const [now, setNow] = useState(Date.now)
+  const request = pending[0]
+
+  useEffect(() => {
+    if (!request) return
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [request])
+
+  if (!request) return null
+  const items = request.actions.map(action => describePending(action, root))
+  const secondsLeft = Math.max(0, Math.ceil((request.expiresAt - now) / 1000))
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-black/30 p-4 pt-20">
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="approval-title"
+        aria-describedby="approval-changes"
+        className="w-full max-w-lg bg-white rounded-lg shadow-xl border border-gray-200 p-5 space-y-4 text-sm text-gray-700"
+      >
+        <div>
+          <h2 id="approval-title" className="font-semibold text-gray-900">
+            An AI agent wants to run <span className="font-mono">{request.tool}</span>
+          </h2>
+          <p className="text-xs text-gray-500 mt-0.5">
+            Nothing changes until you approve. Automatically rejected in {secondsLeft}s.
+            {pending.length > 1 && ` ${pending.length - 1} more waiting.`}
+          </p>
+        </div>
+
+        <ul id="approval-changes" className="space-y-2">
+          {items.map((item, i) => (
+            <li key={i} className="rounded border border-gray-200 p-2">
+              <p className="font-medium text-gray-900">{item.label}</p>
+              {item.board && item.board.id !== root.activeBoardId && (
+                <p className="text-xs text-gray-500">on board "{item.board.name}"</p>
+              )}
+              {item.steps && (
+                <ol className="mt-1 list-decimal pl-5 text-xs text-gray-600 max-h-40 overflow-y-auto">
+                  {item.steps.map((step, j) => <li key={j}>{step}</li>)}
+                </ol>
+              )}
+              {item.changes?.map(change => (
+                <p key={change.field} className="text-xs text-gray-600">
+                  {change.field}: <span className="line-through text-gray-400">{change.from}</span> &rarr; {change.to}
+                </p>
+              ))}
+            </li>
+          ))}
+        </ul>
+
+        <details className="text-xs">
+          <summary className="cursor-pointer text-gray-500">Tool arguments</summary>
+          <pre className="mt-1 bg-gray-50 rounded p-2 overflow-x-auto text-gray-700">{JSON.stringify(request.args, null, 2)}</pre>
+        </details>
+
+        <div className="flex justify-end gap-2 pt-2 border-t border-gray-200">
+          <button
+            autoFocus
+            onClick={() => request.settle('rejected')}
+            className="text-xs border border-gray-300 px-3 py-1 rounded hover:bg-gray-50"
+          >
+            Reject
+          </button>
+          <button
+            onClick={() => request.settle('approved')}
+            className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors"
+          >
+            Approve
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
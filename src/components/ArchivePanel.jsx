@@ -0,0 +1,152 @@
+import { useState, useRef, useEffect } from 'react'
+import { useBoardState, useBoardDispatch, checkWipLimit } from '../store.jsx'
+import { cardsToAutoArchive, searchArchived } from '../archive.js'
+
+const RECHECK_MS = 60 * 60 * 1000
+
+function ArchivedRow({ card, state, dispatch }) {
+  const [confirmingPurge, setConfirmingPurge] = useState(false)
+  const column = state.columns.includes(card.column) ? card.column : state.columns[0]
+  const full = checkWipLimit(state, column).blocked
+
+  return (
+    <li className="flex items-center gap-2 py-1.5 border-b border-gray-100 last:border-0">
+      <div className="flex-1 min-w-0">
+        <p className="text-xs font-medium text-gray-900 truncate" title={card.title}>{card.title}</p>
+        <p className="text-xs text-gray-400">
+          {state.columnMeta[card.column]?.title ?? 'Deleted column'} &middot; archived {new Date(card.archivedAt).toLocaleDateString()}
+        </p>
+      </div>
+      <button
+        onClick={() => dispatch({ type: 'RESTORE_CARD', payload: { cardId: card.id, column } })}
+        disabled={full}
+        title={full ? `${state.columnMeta[column].title} is at its WIP limit` : `Restore to ${state.columnMeta[column].title}`}
+        className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+      >
+        Restore
+      </button>
+      {confirmingPurge ? (
+        <button
+          onClick={() => dispatch({ type: 'PURGE_CARDS', payload: { cardIds: [card.id] } })}
+          onBlur={() => setConfirmingPurge(false)}
+          autoFocus
+          className="text-xs text-white bg-red-600 rounded px-1.5 py-0.5 hover:bg-red-700"
+        >
+          Delete
+        </button>
+      ) : (
+        <button
+          onClick={() => setConfirmingPurge(true)}
+          aria-label={`Permanently delete ${card.title}`}
+          className="text-gray-400 hover:text-red-600"
+        >
+          &times;
+        </button>
+      )}
+    </li>
+  )
+}
+
+// Archived cards, with search, restore and permanent delete, and the
+// board's auto-archive setting. While the board is open, cards that have
+// sat in the last column longer than that setting are archived on load and
+// rechecked hourly.
+export default function ArchivePanel() {
+  const state = useBoardState()
+  const dispatch = useBoardDispatch()
+  const [open, setOpen] = useState(false)
+  const [query, setQuery] = useState('')
+  const [tick, setTick] = useState(0)
+  const ref = useRef(null)
+  const archived = state.archived ?? []
+  const matches = searchArchived(state, query)
+  const doneTitle = state.columnMeta[state.columns[state.columns.length - 1]]?.title
+
+  useEffect(() => {
+    if (!open) return
+    function handleClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  useEffect(() => {
+    if (!state.autoArchiveDays) return
+    const timer = setInterval(() => setTick(t => t + 1), RECHECK_MS)
+    return () => clearInterval(timer)
+  }, [state.autoArchiveDays])
+
+  // Not rerun on every change, so undoing an auto-archive sticks until the
+  // next check. `dispatch` changes when another board is opened.
+  const stateRef = useRef(state)
+  stateRef.current = state
+  useEffect(() => {
+    const due = cardsToAutoArchive(stateRef.current)
+    if (due.length === 0) return
+    dispatch({ type: 'ARCHIVE_CARDS', payload: { cardIds: due.map(c => c.id), auto: true } })
+  }, [state.autoArchiveDays, tick, dispatch])
+
+  const setDays = (value) => {
+    const days = Math.max(0, Math.floor(Number(value))) || null
+    if (days !== (state.autoArchiveDays ?? null)) dispatch({ type: 'SET_AUTO_ARCHIVE', payload: { days } })
+  }
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="inline-flex items-center gap-1 px-3 py-1 rounded-md text-xs font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+      >
+        Archive
+        {archived.length > 0 && <span className="text-gray-400">{archived.length}</span>}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-[26rem] bg-white rounded-lg shadow-lg border border-gray-200 z-50 p-4 text-sm text-gray-700">
+          <h3 className="font-semibold text-gray-900 mb-2">Archived cards</h3>
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search archived cards..."
+            aria-label="Search archived cards"
+            className="w-full text-xs border border-gray-300 rounded px-2 py-1 mb-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          {matches.length === 0 ? (
+            <p className="text-xs text-gray-500 py-2">
+              {archived.length === 0 ? 'Archived cards leave the board but can be found and restored here.' : 'No archived cards match.'}
+            </p>
+          ) : (
+            <ul className="max-h-80 overflow-y-auto">
+              {matches.map(card => (
+                <ArchivedRow key={card.id} card={card} state={state} dispatch={dispatch} />
+              ))}
+            </ul>
+          )}
+          <label className="flex items-center gap-2 mt-3 pt-3 border-t border-gray-200 text-xs">
+            <input
+              type="checkbox"
+              checked={!!state.autoArchiveDays}
+              onChange={(e) => setDays(e.target.checked ? 14 : 0)}
+            />
+            Auto-archive cards in {doneTitle} after
+            <input
+              type="number"
+              min={1}
+              key={state.autoArchiveDays ?? 'off'}
+              defaultValue={state.autoArchiveDays ?? 14}
+              disabled={!state.autoArchiveDays}
+              onBlur={(e) => setDays(e.target.value || state.autoArchiveDays)}
+              onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+              aria-label="Days before auto-archiving"
+              className="w-14 text-xs border border-gray-300 rounded px-1 py-0.5 disabled:opacity-50"
+            />
+            days
+          </label>
+        </div>
+      )}
+    </div>
+  )
+}
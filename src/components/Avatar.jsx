@@ -0,0 +1,12 @@
+// A member's initials on their avatar color
+export default function Avatar({ member, className = 'w-6 h-6 ring-2 ring-white' }) {
+  return (
+    <span
+      title={member.name}
+      style={{ backgroundColor: member.color }}
+      className={`inline-flex items-center justify-center rounded-full text-white text-[10px] font-semibold ${className}`}
+    >
+      {member.initials}
+    </span>
+  )
+}
@@ -1,20 +1,401 @@
-import { useBoardState } from '../store.jsx'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { useBoardState, useBoardDispatch, columnCards, checkWipLimit } from '../store.jsx'
+import { useAnnounce } from './LiveAnnouncer.jsx'
+import { useFilter, matchesFilter, isFilterActive } from '../filter.jsx'
+import { GROUPINGS } from '../swimlanes.js'
+import { SelectionContext, useSelectionState } from '../selection.jsx'
 import Column from './Column.jsx'
+import ColumnHeader from './ColumnHeader.jsx'
+import AddColumnForm from './AddColumnForm.jsx'
+import AddCardForm from './AddCardForm.jsx'
+import CardModal from './CardModal.jsx'
+import BulkActionBar from './BulkActionBar.jsx'
+
+const PRIORITY_KEYS = { 1: 'low', 2: 'medium', 3: 'high', 4: 'critical' }
 
 export default function Board() {
-  const { columns, columnMeta, cards } = useBoardState()
+  const state = useBoardState()
+  const { columns, columnMeta, cards } = state
+  const dispatch = useBoardDispatch()
+  const announce = useAnnounce()
+  const { filter, mode, groupBy } = useFilter()
+  const filtering = isFilterActive(filter)
+  const grouping = GROUPINGS[groupBy]
+  const lanes = useMemo(() => (grouping ? grouping.lanes(state) : null), [grouping, state])
+  // `${groupBy}:${lane key}` of every collapsed swimlane
+  const [collapsed, setCollapsed] = useState(() => new Set())
+  const [openCardId, setOpenCardId] = useState(null)
+  const [activeCardId, setActiveCardId] = useState(null)
+  // Keyboard "pick up" in progress: where the card is being previewed and
+  // where it started, so Escape can put it back without touching the store.
+  // With swimlanes `lane` and `fromLane` are lane keys, otherwise null.
+  const [grab, setGrab] = useState(null)
+  const pendingFocusRef = useRef(null)
+  const boardRef = useRef(null)
+  const selection = useSelectionState(cards)
+  const openCard = cards.find(c => c.id === openCardId)
+  const closeCard = useCallback(() => setOpenCardId(null), [])
+
+  const dimmedCardIds = useMemo(
+    () => new Set(filtering ? cards.filter(c => !matchesFilter(c, filter, state)).map(c => c.id) : []),
+    [cards, filter, filtering, state]
+  )
+
+  const visibleCards = useMemo(
+    () => (mode === 'hide' ? cards.filter(c => !dimmedCardIds.has(c.id)) : cards),
+    [cards, mode, dimmedCardIds]
+  )
+  const isCollapsed = (lane) => collapsed.has(`${groupBy}:${lane.key}`)
+
+  // Cards as displayed: hidden ones dropped, and a keyboard-grabbed card
+  // shown at its previewed position. With swimlanes each column lists its
+  // cards lane by lane, leaving out collapsed lanes, so keyboard movement
+  // follows what is on screen.
+  const layout = useMemo(() => {
+    const byColumn = Object.fromEntries(columns.map(id => {
+      const list = columnCards(visibleCards, id)
+      if (!lanes) return [id, list]
+      return [id, lanes.flatMap(lane =>
+        collapsed.has(`${groupBy}:${lane.key}`) ? [] : list.filter(c => grouping.laneOf(c, state) === lane.key)
+      )]
+    }))
+    const grabbed = grab && cards.find(c => c.id === grab.cardId)
+    if (grabbed) {
+      for (const id of columns) byColumn[id] = byColumn[id].filter(c => c.id !== grab.cardId)
+      byColumn[grab.column].splice(grab.index, 0, grabbed)
+    }
+    return byColumn
+  }, [columns, cards, visibleCards, grab, lanes, grouping, groupBy, collapsed, state])
+
+  // Roving tabindex: exactly one card is in the tab order
+  const tabStopId = columns.some(id => layout[id].some(c => c.id === activeCardId))
+    ? activeCardId
+    : columns.map(id => layout[id][0]).find(Boolean)?.id
+
+  // Cards remount when they change column, so focus is restored after render
+  useEffect(() => {
+    const id = pendingFocusRef.current
+    if (!id) return
+    pendingFocusRef.current = null
+    boardRef.current?.querySelector(`[data-card-focus="${CSS.escape(id)}"]`)?.focus()
+  })
+
+  // The grabbed card may be deleted out from under us (e.g. by an agent)
+  useEffect(() => {
+    if (grab && !cards.some(c => c.id === grab.cardId)) setGrab(null)
+  }, [grab, cards])
+
+  const focusCard = (id) => {
+    if (!id) return
+    setActiveCardId(id)
+    pendingFocusRef.current = id
+    boardRef.current?.querySelector(`[data-card-focus="${CSS.escape(id)}"]`)?.focus()
+  }
+
+  const locate = (id) => {
+    for (const column of columns) {
+      const index = layout[column].findIndex(c => c.id === id)
+      if (index >= 0) return { column, index }
+    }
+    return null
+  }
+
+  const describePosition = (column, index, count) =>
+    `${columnMeta[column].title}, position ${index + 1} of ${count}`
+
+  // Lanes on screen, in order
+  const openLanes = lanes ? lanes.filter(lane => !isCollapsed(lane)) : []
+
+  // The lane a card is shown in; a grabbed card is previewed in its target lane
+  const shownLane = (card) => (card.id === grab?.cardId ? grab.lane : grouping.laneOf(card, state))
+
+  // Where a lane's cards sit in a column's list, leaving out the grabbed card
+  const laneRange = (column, laneKey, cardId) => {
+    const siblings = layout[column].filter(c => c.id !== cardId)
+    let start = 0
+    for (const lane of openLanes) {
+      const count = siblings.filter(c => grouping.laneOf(c, state) === lane.key).length
+      if (lane.key === laneKey) return { start, count }
+      start += count
+    }
+    return { start, count: 0 }
+  }
+
+  const describeGrab = (column, index, lane, cardId) => {
+    if (lane === null) return describePosition(column, index, layout[column].filter(c => c.id !== cardId).length + 1)
+    const { start, count } = laneRange(column, lane, cardId)
+    const title = lanes.find(l => l.key === lane).title
+    return `${columnMeta[column].title}, ${title}, position ${index - start + 1} of ${count + 1}`
+  }
+
+  const focusAdjacentColumn = (columnIndex, direction, index) => {
+    for (let i = columnIndex + direction; i >= 0 && i < columns.length; i += direction) {
+      const list = layout[columns[i]]
+      if (list.length > 0) return focusCard(list[Math.min(index, list.length - 1)].id)
+    }
+  }
+
+  const startGrab = (card, { column, index }) => {
+    const lane = lanes ? grouping.laneOf(card, state) : null
+    setGrab({ cardId: card.id, column, index, lane, fromColumn: column, fromIndex: index, fromLane: lane })
+    announce(
+      `Picked up "${card.title}". ${describePosition(column, index, layout[column].length)}. ` +
+      'Use the arrow keys to move, Space to drop, Escape to cancel.'
+    )
+  }
+
+  const moveGrab = (card, column, index) => {
+    if (!column) return
+    if (column !== grab.fromColumn && checkWipLimit(state, column).blocked) {
+      announce(`${columnMeta[column].title} is at its WIP limit`)
+      return
+    }
+    // With swimlanes, moving past either end of the lane crosses into the
+    // next open lane, at its near end
+    let lane = grab.lane
+    let clamped = Math.max(0, Math.min(index, layout[column].filter(c => c.id !== card.id).length))
+    if (lane !== null) {
+      const current = laneRange(column, lane, card.id)
+      const laneIndex = openLanes.findIndex(l => l.key === lane)
+      const next = column !== grab.column ? null
+        : index < current.start ? openLanes[laneIndex - 1]
+          : index > current.start + current.count ? openLanes[laneIndex + 1]
+            : null
+      if (next) {
+        lane = next.key
+        const { start, count } = laneRange(column, lane, card.id)
+        clamped = index < current.start ? start + count : start
+      } else {
+        clamped = Math.max(current.start, Math.min(index, current.start + current.count))
+      }
+    }
+    if (column === grab.column && clamped === grab.index && lane === grab.lane) return
+    setGrab({ ...grab, column, index: clamped, lane })
+    pendingFocusRef.current = card.id
+    announce(`"${card.title}": ${describeGrab(column, clamped, lane, card.id)}`)
+  }
+
+  const dropGrab = (card) => {
+    const { column, index, lane, fromColumn, fromIndex, fromLane } = grab
+    setGrab(null)
+    pendingFocusRef.current = card.id
+    if (column === fromColumn && index === fromIndex && lane === fromLane) {
+      announce(`Dropped "${card.title}" back where it was`)
+      return
+    }
+    // Place relative to a visible neighbour, since filtered-out cards may sit in between
+    const before = layout[column].filter(c => c.id !== card.id)[index]
+    const move = { type: 'MOVE_CARD', payload: { cardId: card.id, toColumn: column, beforeCardId: before?.id } }
+    const updates = lane !== fromLane && grouping.moveTo(card, fromLane, lane)
+    // As with a mouse drop, changing lane and column is one undo step
+    if (updates) {
+      dispatch({
+        type: 'BATCH',
+        payload: {
+          actions: [{ type: 'UPDATE_CARD', payload: { cardId: card.id, updates } }, move],
+          label: `Move "${card.title}" to ${columnMeta[column].title}, ${lanes.find(l => l.key === lane).title}`,
+        },
+      })
+    } else {
+      dispatch(move)
+    }
+    announce(`Dropped "${card.title}" in ${describeGrab(column, index, lane, card.id)}`)
+  }
+
+  const cancelGrab = (card) => {
+    setGrab(null)
+    pendingFocusRef.current = card.id
+    announce(`Move cancelled. "${card.title}" returned to ${columnMeta[grab.fromColumn].title}`)
+  }
+
+  // Clicking elsewhere abandons a keyboard move rather than leaving it half done
+  useEffect(() => {
+    if (!grab) return
+    const handleMouseDown = () => setGrab(null)
+    document.addEventListener('mousedown', handleMouseDown)
+    return () => document.removeEventListener('mousedown', handleMouseDown)
+  }, [grab])
+
+  const handleKeyDown = (e) => {
+    const cardId = e.target.dataset?.cardFocus
+    if (!cardId || e.metaKey || e.ctrlKey || e.altKey) return
+    const card = cards.find(c => c.id === cardId)
+    const pos = locate(cardId)
+    if (!card || !pos) return
+    const columnIndex = columns.indexOf(pos.column)
+    const list = layout[pos.column]
+
+    if (grab) {
+      switch (e.key) {
+        case 'ArrowUp': moveGrab(card, pos.column, pos.index - 1); break
+        case 'ArrowDown': moveGrab(card, pos.column, pos.index + 1); break
+        case 'ArrowLeft': moveGrab(card, columns[columnIndex - 1], pos.index); break
+        case 'ArrowRight': moveGrab(card, columns[columnIndex + 1], pos.index); break
+        case ' ':
+        case 'Enter': dropGrab(card); break
+        case 'Escape': cancelGrab(card); break
+        case 'Tab': cancelGrab(card); return
+        default: return
+      }
+      e.preventDefault()
+      return
+    }
+
+    switch (e.key) {
+      case 'ArrowUp': focusCard(list[pos.index - 1]?.id); break
+      case 'ArrowDown': focusCard(list[pos.index + 1]?.id); break
+      case 'ArrowLeft': focusAdjacentColumn(columnIndex, -1, pos.index); break
+      case 'ArrowRight': focusAdjacentColumn(columnIndex, 1, pos.index); break
+      case 'Home': focusCard(list[0].id); break
+      case 'End': focusCard(list[list.length - 1].id); break
+      case ' ': startGrab(card, pos); break
+      case 'Enter': setOpenCardId(cardId); break
+      case 'x': {
+        const selected = !selection.isSelected(cardId)
+        selection.toggle(cardId)
+        const count = selection.selectedIds.size + (selected ? 1 : -1)
+        announce(`"${card.title}" ${selected ? 'selected' : 'deselected'}, ${count} selected`)
+        break
+      }
+      case 'Escape':
+        if (selection.selectedIds.size === 0) return
+        selection.clear()
+        announce('Selection cleared')
+        break
+      case 'a': {
+        const next = list[pos.index + 1] ?? list[pos.index - 1]
+        dispatch({ type: 'ARCHIVE_CARDS', payload: { cardIds: [cardId] } })
+        announce(`Archived "${card.title}"`)
+        if (next) focusCard(next.id)
+        break
+      }
+      case 'Delete':
+      case 'Backspace': {
+        if (!window.confirm(`Delete "${card.title}"?`)) break
+        const next = list[pos.index + 1] ?? list[pos.index - 1]
+        dispatch({ type: 'DELETE_CARD', payload: { cardId } })
+        announce(`Deleted "${card.title}"`)
+        if (next) focusCard(next.id)
+        break
+      }
+      default: {
+        const priority = PRIORITY_KEYS[e.key]
+        if (!priority) return
+        if (priority !== card.priority) {
+          dispatch({ type: 'UPDATE_CARD', payload: { cardId, updates: { priority } } })
+        }
+        announce(`"${card.title}" priority set to ${priority}`)
+      }
+    }
+    e.preventDefault()
+  }
+
+  const toggleLane = (lane) => {
+    const key = `${groupBy}:${lane.key}`
+    const next = new Set(collapsed)
+    if (next.has(key)) next.delete(key)
+    else next.add(key)
+    setCollapsed(next)
+  }
+
+  const renderColumn = (columnId, index, lane) => (
+    <Column
+      key={columnId}
+      id={columnId}
+      index={index}
+      meta={columnMeta[columnId]}
+      cards={lane ? layout[columnId].filter(c => shownLane(c) === lane.key) : layout[columnId]}
+      cardCount={cards.filter(c => c.column === columnId).length}
+      dimmedCardIds={dimmedCardIds}
+      onOpenCard={setOpenCardId}
+      tabStopId={tabStopId}
+      grabbedCardId={grab?.cardId}
+      lane={lane && { groupBy, key: lane.key, title: lane.title }}
+    />
+  )
+
+  const gridStyle = { gridTemplateColumns: `repeat(${columns.length}, minmax(16rem, 1fr)) 16rem` }
+
+  const handleFocus = (e) => {
+    const cardId = e.target.dataset?.cardFocus
+    if (cardId) setActiveCardId(cardId)
+  }
 
   return (
-    <div className="grid grid-cols-4 gap-4 min-h-[calc(100vh-120px)]">
-      {columns.map(columnId => (
-        <Column
-          key={columnId}
-          id={columnId}
-          title={columnMeta[columnId].title}
-          color={columnMeta[columnId].color}
-          cards={cards.filter(c => c.column === columnId)}
-        />
-      ))}
-    </div>
+    <SelectionContext.Provider value={selection}>
+      <p id="card-keyboard-help" className="sr-only">
+        Press Space to pick up the card, then use the arrow keys to move it and Space to drop or
+        Escape to cancel. Arrow keys move between cards. Enter opens the card, 1 to 4 set its
+        priority, X selects it for bulk actions, A archives it, and Delete removes it.
+      </p>
+      <div
+        ref={boardRef}
+        onKeyDown={handleKeyDown}
+        onFocus={handleFocus}
+        aria-label="Kanban board"
+        role="region"
+        className={lanes ? 'space-y-3 overflow-x-auto pb-2' : 'grid gap-4 min-h-[calc(100vh-120px)] overflow-x-auto pb-2'}
+        style={lanes ? undefined : gridStyle}
+      >
+        {lanes ? (
+          <>
+            <div className="grid gap-4" style={gridStyle}>
+              {columns.map((columnId, index) => {
+                const cardCount = cards.filter(c => c.column === columnId).length
+                return (
+                  <section key={columnId} aria-labelledby={`column-${columnId}-title`} className="rounded-lg border-2 border-gray-200 bg-gray-50">
+                    <ColumnHeader
+                      id={columnId}
+                      index={index}
+                      meta={columnMeta[columnId]}
+                      cardCount={cardCount}
+                      titleId={`column-${columnId}-title`}
+                      cardIds={layout[columnId].map(c => c.id)}
+                    />
+                    <div className="p-2">
+                      <AddCardForm columnId={columnId} disabled={checkWipLimit(state, columnId).blocked} />
+                    </div>
+                  </section>
+                )
+              })}
+              <AddColumnForm />
+            </div>
+            {lanes.map(lane => {
+              const count = visibleCards.filter(c => grouping.laneOf(c, state) === lane.key).length
+              const open = !isCollapsed(lane)
+              return (
+                <div key={lane.key} role="group" aria-label={`${grouping.title}: ${lane.title}`}>
+                  <button
+                    type="button"
+                    onClick={() => toggleLane(lane)}
+                    aria-expanded={open}
+                    className="flex items-center gap-2 mb-2 text-sm font-semibold text-gray-700 hover:text-gray-900"
+                  >
+                    <svg className={`w-3 h-3 transition-transform ${open ? '' : '-rotate-90'}`} fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" /></svg>
+                    {lane.color && <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: lane.color }} />}
+                    {lane.title}
+                    <span className="text-xs font-normal text-gray-400 bg-gray-200 px-2 py-0.5 rounded-full">{count}</span>
+                  </button>
+                  {open && (
+                    <div className="grid gap-4" style={gridStyle}>
+                      {columns.map((columnId, index) => renderColumn(columnId, index, lane))}
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </>
+        ) : (
+          <>
+            {columns.map((columnId, index) => renderColumn(columnId, index, null))}
+            <AddColumnForm />
+          </>
+        )}
+      </div>
+
+      <BulkActionBar />
+
+      {openCard && <CardModal key={openCard.id} card={openCard} onClose={closeCard} />}
+    </SelectionContext.Provider>
   )
 }
@@ -0,0 +1,159 @@
+import { useState, useRef, useEffect } from 'react'
+import { useBoards, useBoardsDispatch, makeBoardId } from '../store.jsx'
+
+function BoardRow({ board, isActive, onSwitch }) {
+  const dispatch = useBoardsDispatch()
+  const [renaming, setRenaming] = useState(false)
+  const [name, setName] = useState(board.name)
+
+  const handleRename = (e) => {
+    e.preventDefault()
+    if (name.trim()) dispatch({ type: 'RENAME_BOARD', payload: { id: board.id, name: name.trim() } })
+    setRenaming(false)
+  }
+
+  if (renaming) {
+    return (
+      <form onSubmit={handleRename} className="px-2 py-1">
+        <input
+          autoFocus
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={handleRename}
+          onKeyDown={(e) => e.key === 'Escape' && setRenaming(false)}
+          aria-label="Board name"
+          className="w-full text-sm border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </form>
+    )
+  }
+
+  const actionClass = 'text-xs text-gray-400 hover:text-gray-700 opacity-0 group-hover:opacity-100 focus:opacity-100'
+
+  return (
+    <div className={`group flex items-center gap-2 px-2 py-1 rounded ${isActive ? 'bg-blue-50' : 'hover:bg-gray-50'}`}>
+      <button
+        onClick={() => onSwitch(board.id)}
+        aria-current={isActive}
+        className={`flex-1 text-left text-sm truncate ${isActive ? 'font-medium text-blue-700' : 'text-gray-700'}`}
+      >
+        {board.name}
+      </button>
+      <button
+        onClick={() => {
+          setName(board.name)
+          setRenaming(true)
+        }}
+        className={actionClass}
+      >
+        Rename
+      </button>
+      <button
+        onClick={() => dispatch({
+          type: 'CREATE_BOARD',
+          payload: { id: makeBoardId(), name: `${board.name} (copy)`, duplicateFrom: board.id },
+        })}
+        className={actionClass}
+      >
+        Duplicate
+      </button>
+      <button
+        onClick={() => dispatch({ type: 'ARCHIVE_BOARD', payload: { id: board.id, archived: true } })}
+        className={actionClass}
+      >
+        Archive
+      </button>
+    </div>
+  )
+}
+
+export default function BoardSwitcher() {
+  const { boardList, activeBoardId } = useBoards()
+  const dispatch = useBoardsDispatch()
+  const [open, setOpen] = useState(false)
+  const [newName, setNewName] = useState('')
+  const ref = useRef(null)
+  const active = boardList.find(b => b.id === activeBoardId)
+  const openBoards = boardList.filter(b => !b.archived)
+  const archivedBoards = boardList.filter(b => b.archived)
+
+  useEffect(() => {
+    if (!open) return
+    function handleClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const handleSwitch = (id) => {
+    dispatch({ type: 'SWITCH_BOARD', payload: { id } })
+    setOpen(false)
+  }
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    if (!newName.trim()) return
+    dispatch({ type: 'CREATE_BOARD', payload: { id: makeBoardId(), name: newName.trim() } })
+    setNewName('')
+    setOpen(false)
+  }
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="inline-flex items-center gap-1 px-2 py-1 -ml-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-100"
+      >
+        {active.name}
+        <svg className={`w-3 h-3 transition-transform ${open ? 'rotate-180' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" /></svg>
+      </button>
+
+      {open && (
+        <div className="absolute left-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 z-50 p-2 space-y-1">
+          {openBoards.map(board => (
+            <BoardRow
+              key={board.id}
+              board={board}
+              isActive={board.id === activeBoardId}
+              onSwitch={handleSwitch}
+            />
+          ))}
+
+          <form onSubmit={handleCreate} className="flex gap-2 px-2 pt-2 border-t border-gray-200">
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New board name..."
+              className="flex-1 text-sm border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors"
+            >
+              Create
+            </button>
+          </form>
+
+          {archivedBoards.length > 0 && (
+            <div className="px-2 pt-2 border-t border-gray-200">
+              <h3 className="text-xs font-medium text-gray-500 mb-1">Archived</h3>
+              {archivedBoards.map(board => (
+                <div key={board.id} className="flex items-center justify-between py-0.5 text-sm text-gray-500">
+                  <span className="truncate">{board.name}</span>
+                  <button
+                    onClick={() => dispatch({ type: 'ARCHIVE_BOARD', payload: { id: board.id, archived: false } })}
+                    className="text-xs text-blue-600 hover:underline"
+                  >
+                    Restore
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
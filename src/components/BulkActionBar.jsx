@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import { useBoardState, useBoardDispatch, checkWipLimit } from '../store.jsx'
+import { PRIORITIES } from '../schema.js'
+import { boardLabels } from '../labels.js'
+import { useSelection, orderedSelection } from '../selection.jsx'
+
+const selectClass = 'text-xs border border-gray-300 rounded px-2 py-1 text-gray-700 bg-white'
+
+// Actions on every selected card. Each one is dispatched as a single BATCH
+// (or ARCHIVE_CARDS), so it undoes, syncs and saves as one change. Cards an
+// action would leave unchanged are skipped.
+export default function BulkActionBar() {
+  const state = useBoardState()
+  const dispatch = useBoardDispatch()
+  const selection = useSelection()
+  const [newLabel, setNewLabel] = useState('')
+  const [confirmingDelete, setConfirmingDelete] = useState(false)
+  const [error, setError] = useState(null)
+  const selected = orderedSelection(state, selection.selectedIds)
+  if (selected.length === 0) return null
+
+  const count = `${selected.length} card${selected.length === 1 ? '' : 's'}`
+  const selectedLabels = [...new Set(selected.flatMap(c => c.labels))].sort()
+
+  const batch = (actions, label) => {
+    setError(null)
+    if (actions.length > 0) dispatch({ type: 'BATCH', payload: { actions, label } })
+  }
+
+  const move = (column) => {
+    const moving = selected.filter(c => c.column !== column)
+    const wip = checkWipLimit(state, column, moving.length)
+    if (wip.blocked) {
+      setError(`${state.columnMeta[column].title} is at its WIP limit (${wip.limit})`)
+      return
+    }
+    batch(
+      moving.map(c => ({ type: 'MOVE_CARD', payload: { cardId: c.id, toColumn: column } })),
+      `Move ${count} to ${state.columnMeta[column].title}`
+    )
+  }
+
+  const setPriority = (priority) => batch(
+    selected
+      .filter(c => c.priority !== priority)
+      .map(c => ({ type: 'UPDATE_CARD', payload: { cardId: c.id, updates: { priority } } })),
+    `Set priority of ${count} to ${priority}`
+  )
+
+  const addLabel = (e) => {
+    e.preventDefault()
+    const label = newLabel.trim()
+    if (!label) return
+    batch(
+      selected
+        .filter(c => !c.labels.includes(label))
+        .map(c => ({ type: 'ADD_LABEL', payload: { cardId: c.id, label } })),
+      `Add label "${label}" to ${count}`
+    )
+    setNewLabel('')
+  }
+
+  const removeLabel = (label) => batch(
+    selected
+      .filter(c => c.labels.includes(label))
+      .map(c => ({ type: 'REMOVE_LABEL', payload: { cardId: c.id, label } })),
+    `Remove label "${label}" from ${count}`
+  )
+
+  const archive = () => {
+    dispatch({ type: 'ARCHIVE_CARDS', payload: { cardIds: selected.map(c => c.id) } })
+    selection.clear()
+  }
+
+  const remove = () => {
+    batch(selected.map(c => ({ type: 'DELETE_CARD', payload: { cardId: c.id } })), `Delete ${count}`)
+    setConfirmingDelete(false)
+    selection.clear()
+  }
+
+  return (
+    <div
+      role="toolbar"
+      aria-label={`Bulk actions for ${count}`}
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 flex flex-wrap items-center gap-2 max-w-[calc(100vw-2rem)] bg-white rounded-lg shadow-lg border border-gray-200 px-4 py-2 text-xs text-gray-700"
+    >
+      <span className="font-medium text-gray-900">{count} selected</span>
+      <select value="" onChange={(e) => move(e.target.value)} aria-label="Move selected cards to" className={selectClass}>
+        <option value="">Move to...</option>
+        {state.columns.map(id => <option key={id} value={id}>{state.columnMeta[id].title}</option>)}
+      </select>
+      <select value="" onChange={(e) => setPriority(e.target.value)} aria-label="Set priority of selected cards" className={selectClass}>
+        <option value="">Priority...</option>
+        {PRIORITIES.map(p => <option key={p} value={p}>{p[0].toUpperCase() + p.slice(1)}</option>)}
+      </select>
+      <form onSubmit={addLabel} className="flex items-center gap-1">
+        <input
+          value={newLabel}
+          onChange={(e) => setNewLabel(e.target.value)}
+          list="bulk-label-suggestions"
+          placeholder="Add label..."
+          aria-label="Label to add to selected cards"
+          className="w-28 text-xs border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <datalist id="bulk-label-suggestions">
+          {boardLabels(state).map(l => <option key={l.name} value={l.name} />)}
+        </datalist>
+      </form>
+      {selectedLabels.length > 0 && (
+        <select value="" onChange={(e) => removeLabel(e.target.value)} aria-label="Remove label from selected cards" className={selectClass}>
+          <option value="">Remove label...</option>
+          {selectedLabels.map(l => <option key={l} value={l}>{l}</option>)}
+        </select>
+      )}
+      <button onClick={archive} className="px-2 py-1 rounded border border-gray-300 hover:bg-gray-50">
+        Archive
+      </button>
+      {confirmingDelete ? (
+        <button
+          onClick={remove}
+          onBlur={() => setConfirmingDelete(false)}
+          autoFocus
+          className="px-2 py-1 rounded text-white bg-red-600 hover:bg-red-700"
+        >
+          Delete {count}
+        </button>
+      ) : (
+        <button onClick={() => setConfirmingDelete(true)} className="px-2 py-1 rounded border border-gray-300 text-red-600 hover:bg-red-50">
+          Delete
+        </button>
+      )}
+      <button onClick={selection.clear} className="text-gray-500 hover:text-gray-800">
+        Clear
+      </button>
+      {error && <span role="alert" className="basis-full text-red-600">{error}</span>}
+    </div>
+  )
+}
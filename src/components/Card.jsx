@@ -1,4 +1,14 @@
 import { useState } from 'react'
+import { useAgentHighlight } from '../activity.jsx'
+import { useBoardState, useBoardDispatch } from '../store.jsx'
+import { dueStatus, formatDate } from '../dates.js'
+import { openBlockers } from '../links.js'
+import LabelChip from './LabelChip.jsx'
+import Avatar from './Avatar.jsx'
+import { cardAssignees } from '../members.js'
+import { toggleTask } from '../markdown.js'
+import { useSelection, orderedSelection } from '../selection.jsx'
+import Markdown from './Markdown.jsx'
 
 const PRIORITY_STYLES = {
   low: 'bg-gray-100 text-gray-600',
@@ -7,11 +17,56 @@ const PRIORITY_STYLES = {
   critical: 'bg-red-100 text-red-700',
 }
 
-export default function Card({ card }) {
+const DUE_STYLES = {
+  overdue: 'bg-red-100 text-red-700',
+  'due-soon': 'bg-amber-100 text-amber-700',
+  scheduled: 'bg-gray-100 text-gray-600',
+}
+
+function dueText(card, due) {
+  if (due.status === 'overdue') return `Overdue · ${formatDate(card.dueDate)}`
+  if (due.days === 0) return 'Due today'
+  if (due.status === 'due-soon') return due.days === 1 ? 'Due tomorrow' : `Due in ${due.days}d`
+  return `Due ${formatDate(card.dueDate)}`
+}
+
+// Drag type carrying the source column, since drag data itself can only be
+// read on drop. Type names are lowercased by the browser; column IDs already are.
+export const DRAG_SOURCE_TYPE = 'application/x-kanban-from-'
+
+// Drag type carrying the IDs of every selected card, in board order, when a
+// selected card is dragged along with others
+export const DRAG_SELECTION_TYPE = 'application/x-kanban-selection'
+
+export default function Card({ card, onOpen, isTabStop, isGrabbed, isDimmed }) {
   const [isDragging, setIsDragging] = useState(false)
+  const [expanded, setExpanded] = useState(false)
+  const highlight = useAgentHighlight(card.id)
+  const state = useBoardState()
+  const dispatch = useBoardDispatch()
+  const selection = useSelection()
+  const isSelected = selection.isSelected(card.id)
+  const due = dueStatus(card, state)
+  const blockers = openBlockers(state, card.id)
+  const assignees = cardAssignees(state, card)
+  const checklist = card.checklist ?? []
+  const checked = checklist.filter(i => i.done).length
+  const commentCount = card.comments?.length ?? 0
+  // Long descriptions show their first two lines until expanded
+  const isLong = card.description.split('\n').length > 2 || card.description.length > 120
+
+  const handleToggleTask = (line) => {
+    dispatch({ type: 'UPDATE_CARD', payload: { cardId: card.id, updates: { description: toggleTask(card.description, line) } } })
+  }
 
   const handleDragStart = (e) => {
     e.dataTransfer.setData('text/plain', card.id)
+    e.dataTransfer.setData(DRAG_SOURCE_TYPE + card.column, '')
+    if (isSelected && selection.selectedIds.size > 1) {
+      const selected = orderedSelection(state, selection.selectedIds)
+      e.dataTransfer.setData(DRAG_SELECTION_TYPE, JSON.stringify(selected.map(c => c.id)))
+      for (const column of new Set(selected.map(c => c.column))) e.dataTransfer.setData(DRAG_SOURCE_TYPE + column, '')
+    }
     e.dataTransfer.effectAllowed = 'move'
     setTimeout(() => setIsDragging(true), 0)
   }
@@ -25,9 +80,17 @@ export default function Card({ card }) {
       draggable="true"
       onDragStart={handleDragStart}
       onDragEnd={handleDragEnd}
-      className={`bg-white rounded-lg border border-gray-200 p-3 cursor-grab active:cursor-grabbing shadow-sm hover:shadow-md transition-shadow ${
-        isDragging ? 'opacity-50' : ''
-      }`}
+      onClick={(e) => onOpen(card.id, e)}
+      tabIndex={isTabStop ? 0 : -1}
+      data-card-focus={card.id}
+      role="button"
+      aria-roledescription="card"
+      aria-label={`${card.title}, ${card.priority} priority${blockers.length ? `, blocked by ${blockers.length} card(s)` : ''}${due ? `, ${dueText(card, due)}` : ''}${checklist.length ? `, ${checked} of ${checklist.length} checklist items done` : ''}${card.labels.length ? `, labels: ${card.labels.join(', ')}` : ''}${assignees.length ? `, assigned to ${assignees.map(m => m.name).join(', ')}` : ''}${commentCount ? `, ${commentCount} comment(s)` : ''}${isSelected ? ', selected' : ''}`}
+      aria-describedby="card-keyboard-help"
+      aria-pressed={isGrabbed}
+      className={`${isSelected ? 'bg-blue-50' : 'bg-white'} rounded-lg border border-gray-200 p-3 cursor-grab active:cursor-grabbing shadow-sm hover:shadow-md transition-shadow focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
+        isDragging ? 'opacity-50' : isDimmed ? 'opacity-30' : ''
+      } ${isGrabbed ? 'ring-2 ring-blue-600 shadow-lg' : isSelected ? 'ring-2 ring-blue-400' : highlight ? 'ring-2 ring-indigo-400' : ''}`}
     >
       <div className="flex items-center justify-between mb-2">
         <span
@@ -35,26 +98,94 @@ export default function Card({ card }) {
         >
           {card.priority}
         </span>
+        <div className="flex items-center gap-1">
+          {blockers.length > 0 && (
+            <span
+              title={`Blocked by ${blockers.map(c => `"${c.title}"`).join(', ')}`}
+              className="text-xs font-medium text-red-700 bg-red-50 border border-red-200 px-1.5 py-0.5 rounded"
+            >
+              Blocked
+            </span>
+          )}
+          {highlight && (
+            <span className="text-xs text-indigo-700 bg-indigo-50 px-1.5 py-0.5 rounded">
+              {highlight.text}
+            </span>
+          )}
+        </div>
       </div>
 
       <h3 className="text-sm font-medium text-gray-900 mb-1">{card.title}</h3>
 
       {card.description && (
-        <p className="text-xs text-gray-500 line-clamp-2 mb-2">
-          {card.description}
-        </p>
+        <div className="mb-2 text-xs text-gray-500">
+          <Markdown
+            source={card.description}
+            onToggleTask={handleToggleTask}
+            className={isLong && !expanded ? 'max-h-8 overflow-hidden' : ''}
+          />
+          {isLong && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation()
+                setExpanded(!expanded)
+              }}
+              aria-expanded={expanded}
+              className="mt-0.5 text-blue-600 hover:text-blue-800"
+            >
+              {expanded ? 'Show less' : 'Show more'}
+            </button>
+          )}
+        </div>
       )}
 
-      {card.labels.length > 0 && (
-        <div className="flex flex-wrap gap-1">
-          {card.labels.map(label => (
-            <span
-              key={label}
-              className="text-xs bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded"
-            >
-              {label}
+      {(due || card.startDate) && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {card.startDate && (
+            <span className="text-xs text-gray-500">Starts {formatDate(card.startDate)}</span>
+          )}
+          {due && (
+            <span className={`text-xs font-medium px-1.5 py-0.5 rounded ${DUE_STYLES[due.status]}`}>
+              {dueText(card, due)}
             </span>
-          ))}
+          )}
+        </div>
+      )}
+
+      {checklist.length > 0 && (
+        <div className="flex items-center gap-2 mb-2">
+          <span className={`text-xs font-medium ${checked === checklist.length ? 'text-green-700' : 'text-gray-500'}`}>
+            &#10003; {checked}/{checklist.length}
+          </span>
+          <div className="flex-1 h-1 bg-gray-100 rounded">
+            <div
+              className={`h-1 rounded ${checked === checklist.length ? 'bg-green-500' : 'bg-blue-500'}`}
+              style={{ width: `${(checked / checklist.length) * 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {(card.labels.length > 0 || assignees.length > 0 || commentCount > 0) && (
+        <div className="flex items-end justify-between gap-2">
+          <div className="flex flex-wrap gap-1">
+            {card.labels.map(label => <LabelChip key={label} name={label} />)}
+          </div>
+          <div className="flex items-center gap-2 shrink-0">
+            {commentCount > 0 && (
+              <span className="inline-flex items-center gap-0.5 text-xs text-gray-500" title={`${commentCount} comment(s)`}>
+                <svg className="w-3.5 h-3.5" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                  <path d="M2 5a2 2 0 012-2h12a2 2 0 012 2v7a2 2 0 01-2 2H8l-4 3v-3a2 2 0 01-2-2V5z" />
+                </svg>
+                {commentCount}
+              </span>
+            )}
+            {assignees.length > 0 && (
+              <div className="flex -space-x-1.5">
+                {assignees.map(member => <Avatar key={member.id} member={member} />)}
+              </div>
+            )}
+          </div>
         </div>
       )}
     </div>
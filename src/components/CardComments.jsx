@@ -0,0 +1,142 @@
+import { useState } from 'react'
+import { useBoardDispatch } from '../store.jsx'
+import { makeCommentId } from '../comments.js'
+
+function formatTime(at) {
+  return new Date(at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+function CommentItem({ cardId, comment, dispatch }) {
+  const [editing, setEditing] = useState(false)
+  const [text, setText] = useState(comment.text)
+  const [confirmingDelete, setConfirmingDelete] = useState(false)
+  const own = comment.author === 'human'
+
+  const save = () => {
+    if (text.trim() && text.trim() !== comment.text) {
+      dispatch({ type: 'UPDATE_COMMENT', payload: { cardId, commentId: comment.id, text: text.trim() } })
+    }
+    setEditing(false)
+  }
+
+  return (
+    <li className={`rounded border px-2 py-1.5 text-xs ${own ? 'border-gray-200 bg-white' : 'border-indigo-100 bg-indigo-50'}`}>
+      <div className="flex items-center gap-2 text-gray-500">
+        <span className={`font-medium ${own ? 'text-gray-700' : 'text-indigo-700'}`}>{own ? 'You' : 'Agent'}</span>
+        <time dateTime={comment.createdAt}>{formatTime(comment.createdAt)}</time>
+        {comment.editedAt && <span title={`Edited ${formatTime(comment.editedAt)}`}>(edited)</span>}
+        {own && !editing && (
+          <span className="ml-auto flex items-center gap-2">
+            <button
+              type="button"
+              onClick={() => {
+                setText(comment.text)
+                setEditing(true)
+              }}
+              className="hover:text-gray-800"
+            >
+              Edit
+            </button>
+            {confirmingDelete ? (
+              <button
+                type="button"
+                onClick={() => dispatch({ type: 'DELETE_COMMENT', payload: { cardId, commentId: comment.id } })}
+                onBlur={() => setConfirmingDelete(false)}
+                autoFocus
+                className="text-white bg-red-600 rounded px-1.5 hover:bg-red-700"
+              >
+                Delete
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setConfirmingDelete(true)}
+                className="hover:text-red-600"
+              >
+                Delete
+              </button>
+            )}
+          </span>
+        )}
+      </div>
+      {editing ? (
+        <div className="mt-1">
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) save()
+              if (e.key === 'Escape') {
+                e.stopPropagation()
+                setEditing(false)
+              }
+            }}
+            rows={2}
+            autoFocus
+            aria-label="Edit comment"
+            className="w-full text-xs border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setEditing(false)} className="text-gray-500 hover:text-gray-700">
+              Cancel
+            </button>
+            <button type="button" onClick={save} disabled={!text.trim()} className="text-blue-600 hover:text-blue-800 disabled:opacity-50">
+              Save
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="mt-1 text-gray-700 whitespace-pre-wrap break-words">{comment.text}</p>
+      )}
+    </li>
+  )
+}
+
+// The card's discussion. Like links, comments are saved as soon as they are
+// posted rather than with the rest of the edit dialog.
+export default function CardComments({ card }) {
+  const dispatch = useBoardDispatch()
+  const [text, setText] = useState('')
+  const comments = card.comments ?? []
+
+  const post = () => {
+    if (!text.trim()) return
+    const comment = { id: makeCommentId(), text: text.trim(), createdAt: new Date().toISOString() }
+    dispatch({ type: 'ADD_COMMENT', payload: { cardId: card.id, comment } })
+    setText('')
+  }
+
+  return (
+    <div>
+      <span className="text-xs font-medium text-gray-500">
+        Comments{comments.length > 0 && ` (${comments.length})`}
+      </span>
+      {comments.length > 0 && (
+        <ul className="mt-1 space-y-1 max-h-60 overflow-y-auto">
+          {comments.map(comment => (
+            <CommentItem key={comment.id} cardId={card.id} comment={comment} dispatch={dispatch} />
+          ))}
+        </ul>
+      )}
+      <div className="mt-2 flex gap-2 items-start">
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && (e.metaKey || e.ctrlKey) && post()}
+          rows={2}
+          placeholder="Write a comment... (Ctrl+Enter to post)"
+          aria-label="New comment"
+          className="flex-1 min-w-0 text-xs border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="button"
+          onClick={post}
+          disabled={!text.trim()}
+          className="text-xs border border-gray-300 px-3 py-1 rounded hover:bg-gray-50 disabled:opacity-50"
+        >
+          Comment
+        </button>
+      </div>
+    </div>
+  )
+}
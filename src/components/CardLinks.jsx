@@ -0,0 +1,103 @@
+import { useState } from 'react'
+import { useBoardState, useBoardDispatch } from '../store.jsx'
+import { cardLinks, checkLink } from '../links.js'
+
+const RELATIONS = [
+  { value: 'blocked-by', label: 'Blocked by' },
+  { value: 'blocks', label: 'Blocks' },
+  { value: 'relates-to', label: 'Relates to' },
+]
+
+// Links belong to the board rather than the card, so unlike the rest of the
+// edit dialog they are saved as soon as they are added or removed.
+export default function CardLinks({ card }) {
+  const state = useBoardState()
+  const dispatch = useBoardDispatch()
+  const [relation, setRelation] = useState('blocked-by')
+  const [otherId, setOtherId] = useState('')
+  const [error, setError] = useState(null)
+
+  const links = cardLinks(state, card.id)
+  const lastColumn = state.columns[state.columns.length - 1]
+  const others = state.cards.filter(c => c.id !== card.id).sort((a, b) => a.title.localeCompare(b.title))
+  const findCard = id => state.cards.find(c => c.id === id)
+
+  const add = () => {
+    if (!otherId) return
+    const [from, to] = relation === 'blocked-by' ? [otherId, card.id] : [card.id, otherId]
+    const link = { id: crypto.randomUUID(), type: relation === 'relates-to' ? 'relates-to' : 'blocks', from, to }
+    const problem = checkLink(state, link)
+    if (problem) {
+      setError(problem)
+      return
+    }
+    dispatch({ type: 'LINK_CARDS', payload: { link } })
+    setOtherId('')
+    setError(null)
+  }
+
+  return (
+    <div>
+      <span className="text-xs font-medium text-gray-500">Links</span>
+      {links.length > 0 && (
+        <ul className="mt-1 space-y-1">
+          {links.map(link => {
+            const other = findCard(link.cardId)
+            const done = other.column === lastColumn
+            return (
+              <li key={link.id} className="flex items-center gap-2 text-xs">
+                <span className="w-20 shrink-0 text-gray-500">
+                  {RELATIONS.find(r => r.value === link.relation).label}
+                </span>
+                <span className={`flex-1 min-w-0 truncate ${done ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                  {other.title}
+                </span>
+                <span className="text-gray-400">{state.columnMeta[other.column].title}</span>
+                <button
+                  type="button"
+                  onClick={() => dispatch({ type: 'UNLINK_CARDS', payload: { linkId: link.id } })}
+                  aria-label={`Remove link to "${other.title}"`}
+                  className="text-gray-400 hover:text-gray-700"
+                >
+                  &times;
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+      <div className="mt-2 flex gap-2">
+        <select
+          value={relation}
+          onChange={(e) => setRelation(e.target.value)}
+          aria-label="Link type"
+          className="text-xs border border-gray-300 rounded px-1 py-1 text-gray-600"
+        >
+          {RELATIONS.map(r => (
+            <option key={r.value} value={r.value}>{r.label}</option>
+          ))}
+        </select>
+        <select
+          value={otherId}
+          onChange={(e) => setOtherId(e.target.value)}
+          aria-label="Linked card"
+          className="flex-1 min-w-0 text-xs border border-gray-300 rounded px-1 py-1 text-gray-600"
+        >
+          <option value="">Choose a card...</option>
+          {others.map(c => (
+            <option key={c.id} value={c.id}>{c.title}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={add}
+          disabled={!otherId}
+          className="text-xs border border-gray-300 px-3 py-1 rounded hover:bg-gray-50 disabled:opacity-50"
+        >
+          Link
+        </button>
+      </div>
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  )
+}
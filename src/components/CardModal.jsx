@@ -0,0 +1,431 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useBoardState, useBoardDispatch, checkWipLimit } from '../store.jsx'
+import ChecklistEditor from './ChecklistEditor.jsx'
+import CardLinks from './CardLinks.jsx'
+import CardComments from './CardComments.jsx'
+import Markdown from './Markdown.jsx'
+import LabelChip from './LabelChip.jsx'
+import Avatar from './Avatar.jsx'
+import { boardLabels } from '../labels.js'
+import { toggleTask } from '../markdown.js'
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical']
+
+const FIELDS = ['title', 'description', 'priority', 'labels', 'assignees', 'column', 'startDate', 'dueDate', 'checklist']
+
+// The checklist actions that turn `before` into `after`, item by item, so a
+// save doesn't undo changes another tab made to other items meanwhile
+function checklistActions(cardId, before, after) {
+  const old = new Map(before.map(item => [item.id, item]))
+  const kept = after.filter(item => old.has(item.id))
+  const actions = [
+    ...before
+      .filter(item => !after.some(i => i.id === item.id))
+      .map(item => ({ type: 'REMOVE_CHECKLIST_ITEM', payload: { cardId, itemId: item.id } })),
+    ...kept.flatMap(item => {
+      const updates = Object.fromEntries(['text', 'done']
+        .filter(field => item[field] !== old.get(item.id)[field])
+        .map(field => [field, item[field]]))
+      return Object.keys(updates).length > 0
+        ? [{ type: 'UPDATE_CHECKLIST_ITEM', payload: { cardId, itemId: item.id, updates } }]
+        : []
+    }),
+  ]
+  const order = before.filter(item => kept.some(i => i.id === item.id)).map(item => item.id)
+  if (order.join('\n') !== kept.map(item => item.id).join('\n')) {
+    kept.forEach((item, index) => actions.push({ type: 'MOVE_CHECKLIST_ITEM', payload: { cardId, itemId: item.id, index } }))
+  }
+  after.forEach((item, index) => {
+    if (!old.has(item.id)) actions.push({ type: 'ADD_CHECKLIST_ITEM', payload: { cardId, item, index } })
+  })
+  return actions
+}
+
+export default function CardModal({ card, onClose }) {
+  const state = useBoardState()
+  const dispatch = useBoardDispatch()
+  // The card as it was when editing started; drafts are diffed against it so
+  // saving only writes fields the user actually changed.
+  const [original, setOriginal] = useState(card)
+  const [title, setTitle] = useState(card.title)
+  const [description, setDescription] = useState(card.description)
+  const [previewing, setPreviewing] = useState(false)
+  const [priority, setPriority] = useState(card.priority)
+  const [labels, setLabels] = useState(card.labels)
+  const [assignees, setAssignees] = useState(card.assignees ?? [])
+  const [column, setColumn] = useState(card.column)
+  const [startDate, setStartDate] = useState(card.startDate ?? '')
+  const [dueDate, setDueDate] = useState(card.dueDate ?? '')
+  const [checklist, setChecklist] = useState(card.checklist ?? [])
+  const [labelInput, setLabelInput] = useState('')
+  const [confirmingDelete, setConfirmingDelete] = useState(false)
+  const [error, setError] = useState(null)
+
+  const labelSuggestions = useMemo(
+    () => boardLabels(state).filter(l => !labels.includes(l.name)),
+    [state, labels]
+  )
+
+  // Fields changed by another tab or an agent since editing started
+  const changedElsewhere = FIELDS.filter(field =>
+    JSON.stringify(card[field] ?? null) !== JSON.stringify(original[field] ?? null)
+  )
+
+  const takeTheirs = () => {
+    for (const field of changedElsewhere) {
+      if (field === 'title') setTitle(card.title)
+      if (field === 'description') setDescription(card.description)
+      if (field === 'priority') setPriority(card.priority)
+      if (field === 'labels') setLabels(card.labels)
+      if (field === 'assignees') setAssignees(card.assignees ?? [])
+      if (field === 'column') setColumn(card.column)
+      if (field === 'startDate') setStartDate(card.startDate ?? '')
+      if (field === 'dueDate') setDueDate(card.dueDate ?? '')
+      if (field === 'checklist') setChecklist(card.checklist ?? [])
+    }
+    setOriginal(card)
+  }
+
+  // The fields the user has changed, and whether the column changed, since
+  // editing started
+  const draftChanges = () => {
+    const updates = {}
+    if (title.trim() !== original.title) updates.title = title.trim()
+    if (description !== original.description) updates.description = description
+    if (priority !== original.priority) updates.priority = priority
+    if (labels.join('\n') !== original.labels.join('\n')) updates.labels = labels
+    if (assignees.join('\n') !== (original.assignees ?? []).join('\n')) updates.assignees = assignees
+    if (startDate !== (original.startDate ?? '')) updates.startDate = startDate || null
+    if (dueDate !== (original.dueDate ?? '')) updates.dueDate = dueDate || null
+    const items = checklist.filter(i => i.text.trim()).map(i => ({ ...i, text: i.text.trim() }))
+    return {
+      updates,
+      steps: checklistActions(card.id, original.checklist ?? [], items),
+      moved: column !== original.column && column !== card.column,
+    }
+  }
+
+  // Escape and clicks outside the dialog are easy to hit by accident, so
+  // they ask before throwing away unsaved edits
+  const dismiss = () => {
+    const { updates, steps, moved } = draftChanges()
+    if ((Object.keys(updates).length > 0 || steps.length > 0 || moved) && !window.confirm('Discard your changes to this card?')) return
+    onClose()
+  }
+
+  const dismissRef = useRef(dismiss)
+  dismissRef.current = dismiss
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.key === 'Escape') dismissRef.current()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [])
+
+  const addLabel = () => {
+    const label = labelInput.trim()
+    if (label && !labels.includes(label)) setLabels([...labels, label])
+    setLabelInput('')
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    if (!title.trim()) {
+      setError('Title is required')
+      return
+    }
+    if (startDate && dueDate && dueDate < startDate) {
+      setError('The due date cannot be before the start date')
+      return
+    }
+    const { updates, steps, moved } = draftChanges()
+    if (moved && checkWipLimit(state, column).blocked) {
+      setError(`"${state.columnMeta[column].title}" is at its WIP limit`)
+      return
+    }
+    // Edits and a move are saved together, so they undo as one step
+    const actions = [
+      ...(Object.keys(updates).length > 0 ? [{ type: 'UPDATE_CARD', payload: { cardId: card.id, updates } }] : []),
+      ...steps,
+      ...(moved ? [{ type: 'MOVE_CARD', payload: { cardId: card.id, toColumn: column } }] : []),
+    ]
+    if (actions.length === 1) dispatch(actions[0])
+    if (actions.length > 1) dispatch({ type: 'BATCH', payload: { actions, label: `Edit "${card.title}"` } })
+    onClose()
+  }
+
+  const handleArchive = () => {
+    dispatch({ type: 'ARCHIVE_CARDS', payload: { cardIds: [card.id] } })
+    onClose()
+  }
+
+  const handleDelete = () => {
+    dispatch({ type: 'DELETE_CARD', payload: { cardId: card.id } })
+    onClose()
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-start justify-center bg-black/30 p-4 pt-20"
+      onMouseDown={(e) => e.target === e.currentTarget && dismiss()}
+    >
+      <form
+        onSubmit={handleSave}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="card-modal-title"
+        className="w-full max-w-lg bg-white rounded-lg shadow-xl border border-gray-200 p-5 space-y-4 text-sm text-gray-700"
+      >
+        <div className="flex items-center justify-between">
+          <h2 id="card-modal-title" className="font-semibold text-gray-900">Edit card</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label="Close"
+            className="text-gray-400 hover:text-gray-700"
+          >
+            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" /></svg>
+          </button>
+        </div>
+
+        {changedElsewhere.length > 0 && (
+          <div role="status" className="rounded border border-amber-300 bg-amber-50 p-2 text-xs text-amber-900">
+            <p>
+              This card was changed elsewhere while you were editing
+              ({changedElsewhere.join(', ')}). Saving keeps your edits to any field you changed.
+            </p>
+            <button
+              type="button"
+              onClick={takeTheirs}
+              className="mt-1 text-amber-800 font-medium hover:underline"
+            >
+              Use the latest version of those fields
+            </button>
+          </div>
+        )}
+
+        <label className="block">
+          <span className="text-xs font-medium text-gray-500">Title</span>
+          <input
+            autoFocus
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className="mt-1 w-full border border-gray-300 rounded px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+
+        <div>
+          <div className="flex items-center justify-between">
+            <label htmlFor="card-description" className="text-xs font-medium text-gray-500">Description</label>
+            <div className="flex gap-2 text-xs">
+              {['Write', 'Preview'].map(mode => (
+                <button
+                  key={mode}
+                  type="button"
+                  onClick={() => setPreviewing(mode === 'Preview')}
+                  aria-pressed={previewing === (mode === 'Preview')}
+                  className={previewing === (mode === 'Preview') ? 'font-medium text-gray-900' : 'text-gray-500 hover:text-gray-700'}
+                >
+                  {mode}
+                </button>
+              ))}
+            </div>
+          </div>
+          {previewing ? (
+            <div className="mt-1 min-h-[6.5rem] border border-gray-200 rounded px-2 py-1.5 text-sm text-gray-700">
+              {description.trim() ? (
+                <Markdown source={description} onToggleTask={(line) => setDescription(d => toggleTask(d, line))} />
+              ) : (
+                <p className="text-gray-400">Nothing to preview</p>
+              )}
+            </div>
+          ) : (
+            <textarea
+              id="card-description"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              rows={4}
+              placeholder="Markdown is supported: lists, - [ ] tasks, **bold**, `code`, [links](https://...)"
+              className="mt-1 w-full border border-gray-300 rounded px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <label className="block">
+            <span className="text-xs font-medium text-gray-500">Priority</span>
+            <select
+              value={priority}
+              onChange={(e) => setPriority(e.target.value)}
+              className="mt-1 w-full border border-gray-300 rounded px-2 py-1.5 text-gray-600"
+            >
+              {PRIORITIES.map(p => (
+                <option key={p} value={p}>{p}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="text-xs font-medium text-gray-500">Column</span>
+            <select
+              value={column}
+              onChange={(e) => setColumn(e.target.value)}
+              className="mt-1 w-full border border-gray-300 rounded px-2 py-1.5 text-gray-600"
+            >
+              {state.columns.map(c => (
+                <option key={c} value={c}>{state.columnMeta[c].title}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <label className="block">
+            <span className="text-xs font-medium text-gray-500">Start date</span>
+            <input
+              type="date"
+              value={startDate}
+              max={dueDate || undefined}
+              onChange={(e) => setStartDate(e.target.value)}
+              className="mt-1 w-full border border-gray-300 rounded px-2 py-1 text-gray-600"
+            />
+          </label>
+          <label className="block">
+            <span className="text-xs font-medium text-gray-500">Due date</span>
+            <input
+              type="date"
+              value={dueDate}
+              min={startDate || undefined}
+              onChange={(e) => setDueDate(e.target.value)}
+              className="mt-1 w-full border border-gray-300 rounded px-2 py-1 text-gray-600"
+            />
+          </label>
+        </div>
+
+        <div>
+          <span className="text-xs font-medium text-gray-500">Labels</span>
+          <div className="mt-1 flex flex-wrap gap-1">
+            {labels.map(label => (
+              <LabelChip key={label} name={label}>
+                <button
+                  type="button"
+                  onClick={() => setLabels(labels.filter(l => l !== label))}
+                  aria-label={`Remove label ${label}`}
+                  className="opacity-70 hover:opacity-100"
+                >
+                  &times;
+                </button>
+              </LabelChip>
+            ))}
+          </div>
+          <input
+            value={labelInput}
+            onChange={(e) => setLabelInput(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault()
+                addLabel()
+              }
+            }}
+            onBlur={addLabel}
+            list="card-modal-labels"
+            placeholder="Add label..."
+            className="mt-2 w-full text-xs border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <datalist id="card-modal-labels">
+            {labelSuggestions.map(label => (
+              <option key={label.name} value={label.name}>{label.description}</option>
+            ))}
+          </datalist>
+        </div>
+
+        {state.members?.length > 0 && (
+          <div>
+            <span className="text-xs font-medium text-gray-500">Assignees</span>
+            <div className="mt-1 flex flex-wrap gap-1" role="group" aria-label="Assignees">
+              {state.members.map(member => {
+                const assigned = assignees.includes(member.id)
+                return (
+                  <button
+                    key={member.id}
+                    type="button"
+                    aria-pressed={assigned}
+                    onClick={() => setAssignees(assigned ? assignees.filter(id => id !== member.id) : [...assignees, member.id])}
+                    className={`inline-flex items-center gap-1 text-xs rounded-full pl-0.5 pr-2 py-0.5 border ${
+                      assigned ? 'border-blue-400 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                    }`}
+                  >
+                    <Avatar member={member} className="w-5 h-5" />
+                    {member.name}
+                  </button>
+                )
+              })}
+            </div>
+          </div>
+        )}
+
+        <ChecklistEditor items={checklist} onChange={setChecklist} />
+
+        <CardLinks card={card} />
+
+        <CardComments card={card} />
+
+        {error && <p className="text-xs text-red-600">{error}</p>}
+
+        <div className="flex items-center justify-between pt-2 border-t border-gray-200">
+          {confirmingDelete ? (
+            <div className="flex items-center gap-2">
+              <span className="text-xs text-red-700">Delete this card?</span>
+              <button
+                type="button"
+                onClick={handleDelete}
+                className="text-xs bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700 transition-colors"
+              >
+                Delete
+              </button>
+              <button
+                type="button"
+                onClick={() => setConfirmingDelete(false)}
+                className="text-xs text-gray-500 hover:text-gray-700"
+              >
+                Keep
+              </button>
+            </div>
+          ) : (
+            <div className="flex items-center gap-3">
+              <button
+                type="button"
+                onClick={handleArchive}
+                className="text-xs text-gray-600 hover:text-gray-900"
+              >
+                Archive
+              </button>
+              <button
+                type="button"
+                onClick={() => setConfirmingDelete(true)}
+                className="text-xs text-red-600 hover:text-red-800"
+              >
+                Delete card
+              </button>
+            </div>
+          )}
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-xs text-gray-500 hover:text-gray-700"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  )
+}
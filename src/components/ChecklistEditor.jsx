@@ -0,0 +1,83 @@
+import { useState } from 'react'
+
+// Edits a card's checklist draft; changes are saved with the rest of the
+// edit dialog.
+export default function ChecklistEditor({ items, onChange }) {
+  const [text, setText] = useState('')
+  const checked = items.filter(i => i.done).length
+
+  const update = (id, changes) => onChange(items.map(i => (i.id === id ? { ...i, ...changes } : i)))
+
+  const move = (index, offset) => {
+    const next = [...items]
+    const [item] = next.splice(index, 1)
+    next.splice(index + offset, 0, item)
+    onChange(next)
+  }
+
+  const add = () => {
+    if (!text.trim()) return
+    onChange([...items, { id: crypto.randomUUID(), text: text.trim(), done: false }])
+    setText('')
+  }
+
+  const iconButton = 'text-gray-400 hover:text-gray-700 disabled:opacity-30 disabled:hover:text-gray-400'
+
+  return (
+    <div>
+      <span className="text-xs font-medium text-gray-500">
+        Checklist{items.length > 0 && ` (${checked}/${items.length})`}
+      </span>
+      {items.length > 0 && (
+        <ul className="mt-1 space-y-1">
+          {items.map((item, index) => (
+            <li key={item.id} className="group flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={item.done}
+                onChange={(e) => update(item.id, { done: e.target.checked })}
+                aria-label={`Done: ${item.text}`}
+              />
+              <input
+                value={item.text}
+                onChange={(e) => update(item.id, { text: e.target.value })}
+                onBlur={() => !item.text.trim() && onChange(items.filter(i => i.id !== item.id))}
+                aria-label="Checklist item"
+                className={`flex-1 min-w-0 text-xs border border-transparent rounded px-1 py-0.5 hover:border-gray-300 focus:border-gray-300 focus:outline-none ${
+                  item.done ? 'line-through text-gray-400' : 'text-gray-700'
+                }`}
+              />
+              <button type="button" onClick={() => move(index, -1)} disabled={index === 0} aria-label={`Move "${item.text}" up`} className={iconButton}>
+                &uarr;
+              </button>
+              <button type="button" onClick={() => move(index, 1)} disabled={index === items.length - 1} aria-label={`Move "${item.text}" down`} className={iconButton}>
+                &darr;
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange(items.filter(i => i.id !== item.id))}
+                aria-label={`Delete "${item.text}"`}
+                className={iconButton}
+              >
+                &times;
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <input
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault()
+            add()
+          }
+        }}
+        onBlur={add}
+        placeholder="Add an item..."
+        className="mt-2 w-full text-xs border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+    </div>
+  )
+}
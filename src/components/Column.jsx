@@ -1,34 +1,136 @@
-import { useState } from 'react'
-import { useBoardDispatch } from '../store.jsx'
-import Card from './Card.jsx'
+import { useRef, useState } from 'react'
+import { useBoardState, useBoardDispatch, checkWipLimit } from '../store.jsx'
+import { GROUPINGS } from '../swimlanes.js'
+import { useSelection } from '../selection.jsx'
+import { useAnnounce } from './LiveAnnouncer.jsx'
+import Card, { DRAG_SOURCE_TYPE, DRAG_SELECTION_TYPE } from './Card.jsx'
 import AddCardForm from './AddCardForm.jsx'
+import ColumnHeader from './ColumnHeader.jsx'
 
-export default function Column({ id, title, color, cards }) {
+// With `lane` ({ groupBy, key, title }) this is one column's cell in a
+// swimlane: no header or add form, and dropping a card also moves it into
+// the lane.
+export default function Column({
+  id,
+  index,
+  meta,
+  cards,
+  cardCount,
+  dimmedCardIds,
+  onOpenCard,
+  tabStopId,
+  grabbedCardId,
+  lane,
+}) {
+  const state = useBoardState()
   const dispatch = useBoardDispatch()
+  const selection = useSelection()
+  const announce = useAnnounce()
   const [isDragOver, setIsDragOver] = useState(false)
+  const [dropIndex, setDropIndex] = useState(null)
+  const listRef = useRef(null)
+  const { wipLimit, enforceWipLimit } = meta
+  // `cards` may be filtered; WIP limits always count the whole column
+  const isFull = !!wipLimit && cardCount >= wipLimit
+  const acceptsCards = !(isFull && enforceWipLimit)
+
+  // Index of the card the pointer is above, or cards.length for the end.
+  const getDropIndex = (clientY) => {
+    const nodes = [...listRef.current.querySelectorAll('[data-card-id]')]
+    const index = nodes.findIndex(node => {
+      const rect = node.getBoundingClientRect()
+      return clientY < rect.top + rect.height / 2
+    })
+    return index === -1 ? nodes.length : index
+  }
 
   const handleDragOver = (e) => {
+    // Reordering inside a full column is fine; only new arrivals count toward the limit
+    const fromThisColumn = e.dataTransfer.types.includes(DRAG_SOURCE_TYPE + id)
+    if (!acceptsCards && !fromThisColumn) return
     e.preventDefault()
     e.dataTransfer.dropEffect = 'move'
     setIsDragOver(true)
+    setDropIndex(getDropIndex(e.clientY))
   }
 
   const handleDragLeave = (e) => {
     if (e.currentTarget.contains(e.relatedTarget)) return
     setIsDragOver(false)
+    setDropIndex(null)
   }
 
   const handleDrop = (e) => {
     e.preventDefault()
     setIsDragOver(false)
+    setDropIndex(null)
     const cardId = e.dataTransfer.getData('text/plain')
-    if (cardId) {
-      dispatch({ type: 'MOVE_CARD', payload: { cardId, toColumn: id } })
+    if (!cardId) return
+    const index = getDropIndex(e.clientY)
+    const selectedIds = JSON.parse(e.dataTransfer.getData(DRAG_SELECTION_TYPE) || 'null')
+    if (selectedIds) {
+      dropSelection(selectedIds, index)
+      return
     }
+    const beforeCardId = cards[index]?.id ?? null
+    const move = { type: 'MOVE_CARD', payload: { cardId, toColumn: id, beforeCardId } }
+    const card = state.cards.find(c => c.id === cardId)
+    const grouping = lane && card && GROUPINGS[lane.groupBy]
+    const updates = grouping && grouping.moveTo(card, grouping.laneOf(card, state), lane.key)
+    // Changing lane and column is one undo step
+    if (updates) {
+      dispatch({
+        type: 'BATCH',
+        payload: {
+          actions: [{ type: 'UPDATE_CARD', payload: { cardId, updates } }, move],
+          label: `Move "${card.title}" to ${meta.title}, ${lane.title}`,
+        },
+      })
+      return
+    }
+    // Dropping a card directly above or below itself leaves it where it was
+    if (beforeCardId === cardId || (index > 0 && cards[index - 1].id === cardId)) return
+    dispatch(move)
   }
 
+  // Moves every selected card to the drop point, keeping their order, as
+  // one undo step. Refused as a whole if the arrivals would pass an
+  // enforced WIP limit.
+  const dropSelection = (selectedIds, index) => {
+    const moving = selectedIds.map(cardId => state.cards.find(c => c.id === cardId)).filter(Boolean)
+    const arriving = moving.filter(c => c.column !== id).length
+    if (arriving > 0 && checkWipLimit(state, id, arriving).blocked) {
+      announce(`${meta.title} is at its WIP limit`)
+      return
+    }
+    const beforeCardId = cards.slice(index).find(c => !selectedIds.includes(c.id))?.id ?? null
+    const grouping = lane && GROUPINGS[lane.groupBy]
+    const actions = moving.flatMap(card => {
+      const updates = grouping && grouping.moveTo(card, grouping.laneOf(card, state), lane.key)
+      return [
+        ...(updates ? [{ type: 'UPDATE_CARD', payload: { cardId: card.id, updates } }] : []),
+        { type: 'MOVE_CARD', payload: { cardId: card.id, toColumn: id, beforeCardId } },
+      ]
+    })
+    dispatch({
+      type: 'BATCH',
+      payload: { actions, label: `Move ${moving.length} cards to ${meta.title}${lane ? `, ${lane.title}` : ''}` },
+    })
+  }
+
+  // Shift-click selects a range within this column, ctrl/cmd-click toggles
+  // one card, and a plain click opens it
+  const handleCardClick = (cardId, e) => {
+    if (e.shiftKey) selection.extend(cardId, cards.map(c => c.id))
+    else if (e.ctrlKey || e.metaKey) selection.toggle(cardId)
+    else onOpenCard(cardId)
+  }
+
+  const titleId = lane ? `column-${id}-lane-${lane.key}-title` : `column-${id}-title`
+
   return (
-    <div
+    <section
+      aria-labelledby={titleId}
       onDragOver={handleDragOver}
       onDragLeave={handleDragLeave}
       onDrop={handleDrop}
@@ -38,28 +140,42 @@ export default function Column({ id, title, color, cards }) {
           : 'border-gray-200 bg-gray-50'
       }`}
     >
-      <div className="px-3 py-3 border-b border-gray-200 flex items-center justify-between">
-        <div className="flex items-center gap-2">
-          <span
-            className="w-3 h-3 rounded-full flex-shrink-0"
-            style={{ backgroundColor: color }}
-          />
-          <h2 className="font-semibold text-sm text-gray-700">{title}</h2>
-        </div>
-        <span className="text-xs text-gray-400 bg-gray-200 px-2 py-0.5 rounded-full">
-          {cards.length}
-        </span>
-      </div>
+      {lane ? (
+        <span id={titleId} className="sr-only">{meta.title}, {lane.title}</span>
+      ) : (
+        <ColumnHeader
+          id={id}
+          index={index}
+          meta={meta}
+          cardCount={cardCount}
+          titleId={titleId}
+          cardIds={cards.map(c => c.id)}
+        />
+      )}
 
-      <div className="flex-1 overflow-y-auto p-2 space-y-2">
-        {cards.map(card => (
-          <Card key={card.id} card={card} />
+      <div ref={listRef} role="list" aria-labelledby={titleId} className={`flex-1 overflow-y-auto p-2 space-y-2 ${lane ? 'min-h-[4rem]' : ''}`}>
+        {cards.map((card, i) => (
+          <div key={card.id} role="listitem" data-card-id={card.id} className="relative">
+            {dropIndex === i && (
+              <div className="absolute -top-[5px] left-0 right-0 h-0.5 rounded bg-blue-500" />
+            )}
+            <Card
+              card={card}
+              onOpen={handleCardClick}
+              isTabStop={card.id === tabStopId}
+              isGrabbed={card.id === grabbedCardId}
+              isDimmed={dimmedCardIds.has(card.id)}
+            />
+          </div>
         ))}
+        {dropIndex === cards.length && <div className="h-0.5 rounded bg-blue-500" />}
       </div>
 
-      <div className="p-2 border-t border-gray-200">
-        <AddCardForm columnId={id} />
-      </div>
-    </div>
+      {!lane && (
+        <div className="p-2 border-t border-gray-200">
+          <AddCardForm columnId={id} disabled={!acceptsCards} />
+        </div>
+      )}
+    </section>
   )
 }
@@ -0,0 +1,51 @@
+import { useSelection } from '../selection.jsx'
+import ColumnMenu from './ColumnMenu.jsx'
+
+// Title, card count / WIP limit, select-all box and settings menu of a
+// column. `cardCount` is the whole column, whatever is filtered out or split
+// into swimlanes; `cardIds` are the cards shown, which select-all picks.
+export default function ColumnHeader({ id, index, meta, cardCount, titleId, cardIds }) {
+  const { title, color, wipLimit, enforceWipLimit } = meta
+  const selection = useSelection()
+  const selectedCount = cardIds.filter(selection.isSelected).length
+  const isFull = !!wipLimit && cardCount >= wipLimit
+  const isOverLimit = !!wipLimit && cardCount > wipLimit
+
+  return (
+    <div className="px-3 py-3 border-b border-gray-200 flex items-center justify-between">
+      <div className="flex items-center gap-2">
+        {cardIds.length > 0 && (
+          <input
+            type="checkbox"
+            checked={selectedCount === cardIds.length}
+            ref={el => el && (el.indeterminate = selectedCount > 0 && selectedCount < cardIds.length)}
+            onChange={() => selection.toggleAll(cardIds)}
+            aria-label={`Select all cards in ${title}`}
+            title="Select all cards in this column"
+            className="w-3.5 h-3.5"
+          />
+        )}
+        <span
+          className="w-3 h-3 rounded-full flex-shrink-0"
+          style={{ backgroundColor: color }}
+        />
+        <h2 id={titleId} className="font-semibold text-sm text-gray-700">{title}</h2>
+      </div>
+      <div className="flex items-center gap-1">
+        <span
+          title={wipLimit ? `WIP limit ${wipLimit}${enforceWipLimit ? ' (enforced)' : ''}` : undefined}
+          className={`text-xs px-2 py-0.5 rounded-full ${
+            isOverLimit || (isFull && enforceWipLimit)
+              ? 'bg-red-100 text-red-700'
+              : isFull
+                ? 'bg-amber-100 text-amber-700'
+                : 'text-gray-400 bg-gray-200'
+          }`}
+        >
+          {wipLimit ? `${cardCount}/${wipLimit}` : cardCount}
+        </span>
+        <ColumnMenu id={id} index={index} meta={meta} cardCount={cardCount} />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,187 @@
+import { useState, useRef, useEffect } from 'react'
+import { useBoardState, useBoardDispatch, COLUMN_COLORS } from '../store.jsx'
+
+export default function ColumnMenu({ id, index, meta, cardCount }) {
+  const { columns, columnMeta } = useBoardState()
+  const dispatch = useBoardDispatch()
+  const [open, setOpen] = useState(false)
+  const [title, setTitle] = useState(meta.title)
+  const [color, setColor] = useState(meta.color)
+  const [wipLimit, setWipLimit] = useState(meta.wipLimit ?? '')
+  const [enforceWipLimit, setEnforceWipLimit] = useState(meta.enforceWipLimit)
+  const otherColumns = columns.filter(c => c !== id)
+  const [moveCardsTo, setMoveCardsTo] = useState('')
+  const ref = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    function handleClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const handleToggle = () => {
+    if (!open) {
+      setTitle(meta.title)
+      setColor(meta.color)
+      setWipLimit(meta.wipLimit ?? '')
+      setEnforceWipLimit(meta.enforceWipLimit)
+      setMoveCardsTo(otherColumns[0] ?? '')
+    }
+    setOpen(!open)
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    if (!title.trim()) return
+    const limit = parseInt(wipLimit, 10)
+    dispatch({
+      type: 'UPDATE_COLUMN',
+      payload: {
+        columnId: id,
+        updates: {
+          title: title.trim(),
+          color,
+          wipLimit: limit > 0 ? limit : null,
+          enforceWipLimit,
+        },
+      },
+    })
+    setOpen(false)
+  }
+
+  const handleMove = (offset) => {
+    dispatch({ type: 'UPDATE_COLUMN', payload: { columnId: id, index: index + offset } })
+  }
+
+  const handleDelete = () => {
+    const message = cardCount > 0
+      ? `Delete "${meta.title}" and move its ${cardCount} card(s) to "${columnMeta[moveCardsTo].title}"?`
+      : `Delete "${meta.title}"?`
+    if (!window.confirm(message)) return
+    dispatch({
+      type: 'DELETE_COLUMN',
+      payload: { columnId: id, moveCardsTo: cardCount > 0 ? moveCardsTo : undefined },
+    })
+    setOpen(false)
+  }
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={handleToggle}
+        aria-label={`Column settings for ${meta.title}`}
+        className="p-1 rounded text-gray-400 hover:text-gray-700 hover:bg-gray-200 transition-colors"
+      >
+        <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20"><path d="M6 10a2 2 0 11-4 0 2 2 0 014 0zm6 0a2 2 0 11-4 0 2 2 0 014 0zm6 0a2 2 0 11-4 0 2 2 0 014 0z" /></svg>
+      </button>
+
+      {open && (
+        <form
+          onSubmit={handleSave}
+          className="absolute right-0 mt-1 w-64 bg-white rounded-lg shadow-lg border border-gray-200 z-40 p-3 space-y-3 text-sm text-gray-700"
+        >
+          <label className="block">
+            <span className="text-xs font-medium text-gray-500">Title</span>
+            <input
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className="mt-1 w-full text-sm border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+
+          <div>
+            <span className="text-xs font-medium text-gray-500">Color</span>
+            <div className="mt-1 flex flex-wrap gap-1.5">
+              {COLUMN_COLORS.map(c => (
+                <button
+                  key={c}
+                  type="button"
+                  onClick={() => setColor(c)}
+                  aria-label={`Color ${c}`}
+                  className={`w-5 h-5 rounded-full ${color === c ? 'ring-2 ring-offset-1 ring-gray-500' : ''}`}
+                  style={{ backgroundColor: c }}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div className="flex items-end gap-2">
+            <label className="block flex-1">
+              <span className="text-xs font-medium text-gray-500">WIP limit</span>
+              <input
+                type="number"
+                min="1"
+                value={wipLimit}
+                onChange={(e) => setWipLimit(e.target.value)}
+                placeholder="None"
+                className="mt-1 w-full text-sm border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </label>
+            <label className="flex items-center gap-1 text-xs text-gray-600 pb-1.5">
+              <input
+                type="checkbox"
+                checked={enforceWipLimit}
+                onChange={(e) => setEnforceWipLimit(e.target.checked)}
+              />
+              Enforce
+            </label>
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => handleMove(-1)}
+              disabled={index === 0}
+              className="text-xs text-gray-500 hover:text-gray-700 disabled:opacity-40"
+            >
+              &larr; Move
+            </button>
+            <button
+              type="button"
+              onClick={() => handleMove(1)}
+              disabled={index === columns.length - 1}
+              className="text-xs text-gray-500 hover:text-gray-700 disabled:opacity-40"
+            >
+              Move &rarr;
+            </button>
+          </div>
+
+          {otherColumns.length > 0 && (
+            <div className="pt-3 border-t border-gray-200 space-y-2">
+              {cardCount > 0 && (
+                <label className="block">
+                  <span className="text-xs font-medium text-gray-500">Move cards to</span>
+                  <select
+                    value={moveCardsTo}
+                    onChange={(e) => setMoveCardsTo(e.target.value)}
+                    className="mt-1 w-full text-xs border border-gray-300 rounded px-2 py-1 text-gray-600"
+                  >
+                    {otherColumns.map(c => (
+                      <option key={c} value={c}>{columnMeta[c].title}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <button
+                type="button"
+                onClick={handleDelete}
+                className="text-xs text-red-600 hover:text-red-800"
+              >
+                Delete column
+              </button>
+            </div>
+          )}
+        </form>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,121 @@
+import { useState, useRef, useEffect } from 'react'
+import { useBoardState, useBoardDispatch } from '../store.jsx'
+import { EXPORTERS, parseImport, detectFormat, summarizeImport } from '../exchange.js'
+
+function download(format, state) {
+  const { serialize, mimeType, extension } = EXPORTERS[format]
+  const url = URL.createObjectURL(new Blob([serialize(state)], { type: mimeType }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `kanban-board-${new Date().toISOString().slice(0, 10)}.${extension}`
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+export default function ExchangeMenu() {
+  const state = useBoardState()
+  const dispatch = useBoardDispatch()
+  const [open, setOpen] = useState(false)
+  // { fileName, board?, errors } for the file currently being imported
+  const [pending, setPending] = useState(null)
+  const ref = useRef(null)
+  const fileRef = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    function handleClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    const text = await file.text()
+    setPending({ fileName: file.name, ...parseImport(text, detectFormat(file.name), state) })
+  }
+
+  const handleImport = (mode) => {
+    dispatch({ type: 'IMPORT_BOARD', payload: { board: pending.board, mode, fields: pending.fields } })
+    setPending(null)
+    setOpen(false)
+  }
+
+  const merge = pending?.board && summarizeImport(state, pending.board, 'merge')
+  const replace = pending?.board && summarizeImport(state, pending.board, 'replace')
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="inline-flex items-center gap-1 px-3 py-1 rounded-md text-xs font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+      >
+        Import / Export
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 z-50 p-4 text-sm text-gray-700 space-y-3">
+          <div>
+            <h3 className="font-semibold text-gray-900 mb-2">Export</h3>
+            <div className="flex gap-2">
+              {[['json', 'JSON'], ['csv', 'CSV'], ['markdown', 'Markdown']].map(([format, label]) => (
+                <button
+                  key={format}
+                  onClick={() => download(format, state)}
+                  className="text-xs border border-gray-300 rounded px-2 py-1 hover:bg-gray-50"
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <p className="mt-1 text-xs text-gray-500">JSON includes columns and settings and can be imported back.</p>
+          </div>
+
+          <hr className="border-gray-200" />
+
+          <div>
+            <h3 className="font-semibold text-gray-900 mb-2">Import</h3>
+            <input ref={fileRef} type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFile} className="hidden" />
+            <button
+              onClick={() => fileRef.current.click()}
+              className="text-xs border border-gray-300 rounded px-2 py-1 hover:bg-gray-50"
+            >
+              Choose JSON or CSV file&hellip;
+            </button>
+
+            {pending && pending.errors.length > 0 && (
+              <div className="mt-2 rounded border border-red-200 bg-red-50 p-2 text-xs text-red-700">
+                <p className="font-medium mb-1">{pending.fileName} could not be imported:</p>
+                <ul className="list-disc pl-4 max-h-32 overflow-y-auto">
+                  {pending.errors.map((error, i) => <li key={i}>{error}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {pending?.board && (
+              <div className="mt-2 space-y-2 text-xs">
+                <p className="text-gray-600">{pending.fileName} is valid. How should it be applied?</p>
+                <button
+                  onClick={() => handleImport('merge')}
+                  className="block w-full text-left rounded border border-gray-300 px-2 py-1.5 hover:bg-gray-50"
+                >
+                  <span className="font-medium">Merge</span> &mdash; add {merge.cardsAdded} card(s), update {merge.cardsUpdated}, add {merge.columnsAdded} column(s)
+                </button>
+                <button
+                  onClick={() => handleImport('replace')}
+                  className="block w-full text-left rounded border border-red-200 px-2 py-1.5 hover:bg-red-50"
+                >
+                  <span className="font-medium text-red-700">Replace</span> &mdash; discard {replace.cardsRemoved} current card(s) for {replace.cards} imported
+                </button>
+                <p className="text-gray-500">Either way, the import can be undone.</p>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
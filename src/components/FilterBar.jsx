@@ -0,0 +1,159 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useBoardState } from '../store.jsx'
+import { useFilter, matchesFilter, isFilterActive, EMPTY_FILTER, UNASSIGNED } from '../filter.jsx'
+import { GROUPINGS } from '../swimlanes.js'
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical']
+
+function MultiSelect({ label, options, selected, onChange }) {
+  const [open, setOpen] = useState(false)
+  const ref = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    function handleClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const toggle = (value) => {
+    onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value])
+  }
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className={`text-xs border rounded px-2 py-1 ${
+          selected.length > 0 ? 'border-blue-400 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-600'
+        }`}
+      >
+        {label}{selected.length > 0 && ` (${selected.length})`}
+      </button>
+      {open && (
+        <div className="absolute left-0 mt-1 w-48 max-h-64 overflow-y-auto bg-white rounded-lg shadow-lg border border-gray-200 z-40 p-2 space-y-1">
+          {options.length === 0 && <p className="text-xs text-gray-400 px-1">None</p>}
+          {options.map(({ value, title }) => (
+            <label key={value} className="flex items-center gap-2 text-xs text-gray-700 px-1 py-0.5 rounded hover:bg-gray-50">
+              <input type="checkbox" checked={selected.includes(value)} onChange={() => toggle(value)} />
+              {title}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function FilterBar() {
+  const state = useBoardState()
+  const { columns, columnMeta, cards } = state
+  const { filter, setFilter, mode, setMode, groupBy, setGroupBy } = useFilter()
+  const active = isFilterActive(filter)
+
+  const labelOptions = useMemo(
+    () => [...new Set(cards.flatMap(c => c.labels))].sort().map(l => ({ value: l, title: l })),
+    [cards]
+  )
+  const columnOptions = columns.map(id => ({ value: id, title: columnMeta[id].title }))
+  const assigneeOptions = [
+    ...(state.members ?? []).map(m => ({ value: m.id, title: m.name })),
+    { value: UNASSIGNED, title: 'Unassigned' },
+  ]
+  const matchCount = active ? cards.filter(c => matchesFilter(c, filter, state)).length : cards.length
+
+  const update = (changes) => setFilter({ ...filter, ...changes })
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 pb-3 flex flex-wrap items-center gap-2">
+      <input
+        type="search"
+        value={filter.text}
+        onChange={(e) => update({ text: e.target.value })}
+        placeholder="Search cards..."
+        aria-label="Search cards by title or description"
+        className="w-56 text-xs border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <MultiSelect label="Labels" options={labelOptions} selected={filter.labels} onChange={labels => update({ labels })} />
+      <MultiSelect label="Columns" options={columnOptions} selected={filter.columns} onChange={columns => update({ columns })} />
+      <MultiSelect label="Assignees" options={assigneeOptions} selected={filter.assignees} onChange={assignees => update({ assignees })} />
+      <div className="flex items-center gap-1" role="group" aria-label="Priority">
+        {PRIORITIES.map(p => (
+          <button
+            key={p}
+            type="button"
+            aria-pressed={filter.priorities.includes(p)}
+            onClick={() => update({
+              priorities: filter.priorities.includes(p)
+                ? filter.priorities.filter(v => v !== p)
+                : [...filter.priorities, p],
+            })}
+            className={`text-xs border rounded px-2 py-1 ${
+              filter.priorities.includes(p) ? 'border-blue-400 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-600'
+            }`}
+          >
+            {p}
+          </button>
+        ))}
+      </div>
+      <label className="flex items-center gap-1 text-xs text-gray-500">
+        Created
+        <input
+          type="date"
+          value={filter.createdFrom}
+          max={filter.createdTo || undefined}
+          onChange={(e) => update({ createdFrom: e.target.value })}
+          aria-label="Created on or after"
+          className="text-xs border border-gray-300 rounded px-1 py-0.5"
+        />
+        &ndash;
+        <input
+          type="date"
+          value={filter.createdTo}
+          min={filter.createdFrom || undefined}
+          onChange={(e) => update({ createdTo: e.target.value })}
+          aria-label="Created on or before"
+          className="text-xs border border-gray-300 rounded px-1 py-0.5"
+        />
+      </label>
+      <select
+        value={groupBy}
+        onChange={(e) => setGroupBy(e.target.value)}
+        aria-label="Swimlanes"
+        className="text-xs border border-gray-300 rounded px-1 py-1 text-gray-600"
+      >
+        <option value="">No swimlanes</option>
+        {Object.entries(GROUPINGS).map(([key, grouping]) => (
+          <option key={key} value={key}>Lanes by {grouping.title.toLowerCase()}</option>
+        ))}
+      </select>
+      <select
+        value={mode}
+        onChange={(e) => setMode(e.target.value)}
+        aria-label="Non-matching cards"
+        className="text-xs border border-gray-300 rounded px-1 py-1 text-gray-600"
+      >
+        <option value="dim">Dim others</option>
+        <option value="hide">Hide others</option>
+      </select>
+      {active && (
+        <>
+          <span className="text-xs text-gray-500" aria-live="polite">
+            {matchCount} of {cards.length} cards
+          </span>
+          <button
+            type="button"
+            onClick={() => setFilter(EMPTY_FILTER)}
+            className="text-xs text-gray-500 hover:text-gray-700 underline"
+          >
+            Clear
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
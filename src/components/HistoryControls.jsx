@@ -0,0 +1,58 @@
+import { useEffect } from 'react'
+import { useBoardHistory, useBoardDispatch } from '../store.jsx'
+
+function isEditableTarget(target) {
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+  )
+}
+
+export default function HistoryControls() {
+  const { past, future } = useBoardHistory()
+  const dispatch = useBoardDispatch()
+  const lastDone = past[past.length - 1]
+  const nextRedo = future[0]
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (!(e.metaKey || e.ctrlKey) || isEditableTarget(e.target)) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        dispatch({ type: 'UNDO' })
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        dispatch({ type: 'REDO' })
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [dispatch])
+
+  const buttonClass =
+    'p-1.5 rounded-md text-gray-500 hover:text-gray-800 hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent disabled:cursor-not-allowed transition-colors'
+
+  return (
+    <div className="flex items-center gap-1">
+      <button
+        onClick={() => dispatch({ type: 'UNDO' })}
+        disabled={!lastDone}
+        title={lastDone ? `Undo: ${lastDone.label} (Ctrl+Z)` : 'Nothing to undo'}
+        aria-label="Undo"
+        className={buttonClass}
+      >
+        <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 15L3 9m0 0l6-6M3 9h12a6 6 0 010 12h-3" /></svg>
+      </button>
+      <button
+        onClick={() => dispatch({ type: 'REDO' })}
+        disabled={!nextRedo}
+        title={nextRedo ? `Redo: ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+        aria-label="Redo"
+        className={buttonClass}
+      >
+        <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 15l6-6m0 0l-6-6m6 6H9a6 6 0 000 12h3" /></svg>
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,18 @@
+import { useBoardState } from '../store.jsx'
+import { labelInfo, labelStyle } from '../labels.js'
+
+// A label in its board color, with its description as a tooltip. Extra
+// content (such as a remove button) goes after the name.
+export default function LabelChip({ name, children }) {
+  const { color, description } = labelInfo(useBoardState(), name)
+  return (
+    <span
+      title={description || undefined}
+      style={labelStyle(color)}
+      className="inline-flex items-center gap-1 text-xs font-medium px-1.5 py-0.5 rounded"
+    >
+      {name}
+      {children}
+    </span>
+  )
+}
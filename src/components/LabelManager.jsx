@@ -0,0 +1,163 @@
+import { useState, useRef, useEffect } from 'react'
+import { useBoardState, useBoardDispatch } from '../store.jsx'
+import { boardLabels, defaultLabelColor, labelStyle } from '../labels.js'
+
+function LabelRow({ label, labels, dispatch }) {
+  const [name, setName] = useState(label.name)
+  const [description, setDescription] = useState(label.description)
+  const [confirmingDelete, setConfirmingDelete] = useState(false)
+
+  useEffect(() => setName(label.name), [label.name])
+  useEffect(() => setDescription(label.description), [label.description])
+
+  // Renaming onto a label that already exists merges the two
+  const rename = () => {
+    const next = name.trim()
+    if (!next || next === label.name) {
+      setName(label.name)
+      return
+    }
+    if (labels.some(l => l.name === next)) {
+      dispatch({ type: 'MERGE_LABELS', payload: { labels: [label.name], into: next } })
+    } else {
+      dispatch({ type: 'RENAME_LABEL', payload: { from: label.name, to: next } })
+    }
+  }
+
+  const update = (updates) => dispatch({ type: 'UPDATE_LABEL', payload: { name: label.name, updates } })
+
+  return (
+    <li className="py-2 border-b border-gray-100 last:border-0 space-y-1">
+      <div className="flex items-center gap-2">
+        <input
+          type="color"
+          value={label.color}
+          onChange={(e) => update({ color: e.target.value.toUpperCase() })}
+          aria-label={`Color of ${label.name}`}
+          className="w-6 h-6 p-0 border-0 bg-transparent cursor-pointer"
+        />
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={rename}
+          onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+          aria-label={`Name of ${label.name}`}
+          style={labelStyle(label.color)}
+          className="flex-1 min-w-0 text-xs font-medium rounded px-1.5 py-0.5 border border-transparent hover:border-gray-300 focus:border-gray-300 focus:outline-none"
+        />
+        <span className="text-xs text-gray-400 w-14 text-right">
+          {label.cardCount} card{label.cardCount === 1 ? '' : 's'}
+        </span>
+        <select
+          value=""
+          onChange={(e) => dispatch({ type: 'MERGE_LABELS', payload: { labels: [label.name], into: e.target.value } })}
+          aria-label={`Merge ${label.name} into`}
+          className="text-xs border border-gray-300 rounded px-1 py-0.5 text-gray-600 w-20"
+        >
+          <option value="">Merge…</option>
+          {labels.filter(l => l.name !== label.name).map(l => (
+            <option key={l.name} value={l.name}>into {l.name}</option>
+          ))}
+        </select>
+        {confirmingDelete ? (
+          <button
+            onClick={() => dispatch({ type: 'DELETE_LABEL', payload: { name: label.name } })}
+            onBlur={() => setConfirmingDelete(false)}
+            autoFocus
+            className="text-xs text-white bg-red-600 rounded px-1.5 py-0.5 hover:bg-red-700"
+          >
+            Delete
+          </button>
+        ) : (
+          <button
+            onClick={() => setConfirmingDelete(true)}
+            aria-label={`Delete ${label.name}`}
+            title={label.cardCount > 0 ? `Removes it from ${label.cardCount} card(s)` : undefined}
+            className="text-gray-400 hover:text-red-600"
+          >
+            &times;
+          </button>
+        )}
+      </div>
+      <input
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        onBlur={() => description !== label.description && update({ description })}
+        placeholder="Description"
+        aria-label={`Description of ${label.name}`}
+        className="w-full text-xs text-gray-600 border border-transparent rounded px-1 py-0.5 hover:border-gray-300 focus:border-gray-300 focus:outline-none"
+      />
+    </li>
+  )
+}
+
+// Board-level label settings: color, description, rename, merge, delete.
+// Renames and merges rewrite every card carrying the label, in one undo step.
+export default function LabelManager() {
+  const state = useBoardState()
+  const dispatch = useBoardDispatch()
+  const [open, setOpen] = useState(false)
+  const [newName, setNewName] = useState('')
+  const ref = useRef(null)
+  const labels = boardLabels(state)
+
+  useEffect(() => {
+    if (!open) return
+    function handleClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const create = (e) => {
+    e.preventDefault()
+    const name = newName.trim()
+    if (!name || labels.some(l => l.name === name)) return
+    dispatch({ type: 'UPDATE_LABEL', payload: { name, updates: { color: defaultLabelColor(name) } } })
+    setNewName('')
+  }
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="inline-flex items-center gap-1 px-3 py-1 rounded-md text-xs font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+      >
+        Labels
+        {labels.length > 0 && <span className="text-gray-400">{labels.length}</span>}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-[26rem] bg-white rounded-lg shadow-lg border border-gray-200 z-50 p-4 text-sm text-gray-700">
+          <h3 className="font-semibold text-gray-900 mb-2">Labels</h3>
+          {labels.length === 0 ? (
+            <p className="text-xs text-gray-500 py-2">No labels yet.</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto">
+              {labels.map(label => (
+                <LabelRow key={label.name} label={label} labels={labels} dispatch={dispatch} />
+              ))}
+            </ul>
+          )}
+          <form onSubmit={create} className="flex gap-2 mt-2">
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New label..."
+              className="flex-1 min-w-0 text-xs border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={!newName.trim() || labels.some(l => l.name === newName.trim())}
+              className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Add
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
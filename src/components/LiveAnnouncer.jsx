@@ -0,0 +1,40 @@
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react'
+import { useBoardHistory } from '../store.jsx'
+
+const AnnounceContext = createContext(() => {})
+
+// Owns the single polite live region used for screen-reader announcements.
+// Board changes made by agents are announced automatically; components call
+// useAnnounce() for their own messages (e.g. keyboard moves).
+export function AnnouncerProvider({ children }) {
+  const [message, setMessage] = useState('')
+  const { past } = useBoardHistory()
+  const lastEntry = past[past.length - 1]
+  // Redo re-adds old entries, so only entries newer than anything seen count
+  const seenAtRef = useRef(lastEntry?.at ?? '')
+
+  const announce = useCallback((text) => {
+    // Clear first so repeating the same message is still read out
+    setMessage('')
+    requestAnimationFrame(() => setMessage(text))
+  }, [])
+
+  useEffect(() => {
+    if (!lastEntry || lastEntry.at <= seenAtRef.current) return
+    seenAtRef.current = lastEntry.at
+    if (lastEntry.source === 'agent') announce(`AI agent: ${lastEntry.label}`)
+  }, [lastEntry, announce])
+
+  return (
+    <AnnounceContext.Provider value={announce}>
+      {children}
+      <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">
+        {message}
+      </div>
+    </AnnounceContext.Provider>
+  )
+}
+
+export function useAnnounce() {
+  return useContext(AnnounceContext)
+}
@@ -0,0 +1,113 @@
+import { useMemo } from 'react'
+import { parseMarkdown } from '../markdown.js'
+
+// Clicks on links and checkboxes stay inside; a card opens its edit dialog
+// on click otherwise
+const stop = (e) => e.stopPropagation()
+
+const HEADING_STYLES = ['text-base font-semibold', 'text-sm font-semibold', 'text-sm font-medium']
+
+function Inline({ nodes }) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case 'text': return node.text
+      case 'br': return <br key={i} />
+      case 'code': return <code key={i} className="px-1 rounded bg-gray-100 font-mono text-[0.9em]">{node.text}</code>
+      case 'strong': return <strong key={i} className="font-semibold"><Inline nodes={node.children} /></strong>
+      case 'em': return <em key={i}><Inline nodes={node.children} /></em>
+      case 'del': return <del key={i}><Inline nodes={node.children} /></del>
+      case 'link':
+        return (
+          <a
+            key={i}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer nofollow"
+            onClick={stop}
+            className="text-blue-600 underline break-all hover:text-blue-800"
+          >
+            <Inline nodes={node.children} />
+          </a>
+        )
+      default: return null
+    }
+  })
+}
+
+function Blocks({ blocks, onToggleTask }) {
+  return blocks.map((block, i) => {
+    switch (block.type) {
+      case 'heading': {
+        const Tag = `h${Math.min(block.level + 2, 6)}`
+        return <Tag key={i} className={HEADING_STYLES[Math.min(block.level, 3) - 1]}><Inline nodes={block.content} /></Tag>
+      }
+      case 'paragraph':
+        return <p key={i}><Inline nodes={block.content} /></p>
+      case 'code':
+        return (
+          <pre key={i} className="p-2 rounded bg-gray-100 overflow-x-auto">
+            <code className="font-mono text-[0.9em]">{block.text}</code>
+          </pre>
+        )
+      case 'quote':
+        return (
+          <blockquote key={i} className="pl-2 border-l-2 border-gray-300 text-gray-500 space-y-1">
+            <Blocks blocks={block.children} onToggleTask={onToggleTask} />
+          </blockquote>
+        )
+      case 'rule':
+        return <hr key={i} className="border-gray-200" />
+      case 'list': {
+        const Tag = block.ordered ? 'ol' : 'ul'
+        const tasksOnly = block.items.every(item => item.task)
+        return (
+          <Tag
+            key={i}
+            start={block.ordered && block.start !== 1 ? block.start : undefined}
+            className={`space-y-0.5 ${tasksOnly ? 'list-none' : `pl-4 ${block.ordered ? 'list-decimal' : 'list-disc'}`}`}
+          >
+            {block.items.map((item, j) => (
+              <li key={j}>
+                {item.task ? (
+                  <label className="inline-flex items-start gap-1.5" onClick={stop}>
+                    <input
+                      type="checkbox"
+                      checked={item.task.checked}
+                      disabled={!onToggleTask}
+                      onChange={() => onToggleTask(item.task.line)}
+                      className="mt-0.5"
+                    />
+                    <span className={item.task.checked ? 'line-through text-gray-400' : ''}>
+                      <Inline nodes={item.content} />
+                    </span>
+                  </label>
+                ) : (
+                  <Inline nodes={item.content} />
+                )}
+                {item.children.length > 0 && (
+                  <div className={`space-y-1 ${tasksOnly ? 'pl-5' : ''}`}>
+                    <Blocks blocks={item.children} onToggleTask={onToggleTask} />
+                  </div>
+                )}
+              </li>
+            ))}
+          </Tag>
+        )
+      }
+      default:
+        return null
+    }
+  })
+}
+
+// Renders a Markdown description; see markdown.js for what is supported
+// and why it is safe. Task checkboxes call `onToggleTask(line)`, and are
+// read-only without it.
+export default function Markdown({ source, onToggleTask, className = '' }) {
+  const blocks = useMemo(() => parseMarkdown(source), [source])
+  return (
+    <div className={`space-y-1 break-words ${className}`}>
+      <Blocks blocks={blocks} onToggleTask={onToggleTask} />
+    </div>
+  )
+}
@@ -0,0 +1,141 @@
+import { useState, useRef, useEffect } from 'react'
+import { useBoardState, useBoardDispatch } from '../store.jsx'
+import { makeInitials, makeMemberId, nextMemberColor } from '../members.js'
+import Avatar from './Avatar.jsx'
+
+function MemberRow({ member, cardCount, dispatch }) {
+  const [name, setName] = useState(member.name)
+  const [initials, setInitials] = useState(member.initials)
+  const [confirmingRemove, setConfirmingRemove] = useState(false)
+
+  useEffect(() => setName(member.name), [member.name])
+  useEffect(() => setInitials(member.initials), [member.initials])
+
+  const update = (updates) => dispatch({ type: 'UPDATE_MEMBER', payload: { memberId: member.id, updates } })
+
+  return (
+    <li className="flex items-center gap-2 py-1.5 border-b border-gray-100 last:border-0">
+      <Avatar member={member} />
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={() => (name.trim() && name.trim() !== member.name ? update({ name: name.trim() }) : setName(member.name))}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        aria-label={`Name of ${member.name}`}
+        className="flex-1 min-w-0 text-xs border border-transparent rounded px-1 py-0.5 hover:border-gray-300 focus:border-gray-300 focus:outline-none"
+      />
+      <input
+        value={initials}
+        maxLength={3}
+        onChange={(e) => setInitials(e.target.value.toUpperCase())}
+        onBlur={() => (initials.trim() && initials !== member.initials ? update({ initials: initials.trim() }) : setInitials(member.initials))}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        aria-label={`Initials of ${member.name}`}
+        className="w-10 text-xs text-center border border-gray-300 rounded px-1 py-0.5"
+      />
+      <input
+        type="color"
+        value={member.color}
+        onChange={(e) => update({ color: e.target.value.toUpperCase() })}
+        aria-label={`Avatar color of ${member.name}`}
+        className="w-6 h-6 p-0 border-0 bg-transparent cursor-pointer"
+      />
+      <span className="text-xs text-gray-400 w-12 text-right">{cardCount} card{cardCount === 1 ? '' : 's'}</span>
+      {confirmingRemove ? (
+        <button
+          onClick={() => dispatch({ type: 'REMOVE_MEMBER', payload: { memberId: member.id } })}
+          onBlur={() => setConfirmingRemove(false)}
+          autoFocus
+          className="text-xs text-white bg-red-600 rounded px-1.5 py-0.5 hover:bg-red-700"
+        >
+          Remove
+        </button>
+      ) : (
+        <button
+          onClick={() => setConfirmingRemove(true)}
+          aria-label={`Remove ${member.name}`}
+          title={cardCount > 0 ? `Also unassigns them from ${cardCount} card(s)` : undefined}
+          className="text-gray-400 hover:text-red-600"
+        >
+          &times;
+        </button>
+      )}
+    </li>
+  )
+}
+
+// The board's member list. Members are stored with the board in this
+// browser; there are no accounts.
+export default function MemberManager() {
+  const state = useBoardState()
+  const dispatch = useBoardDispatch()
+  const [open, setOpen] = useState(false)
+  const [name, setName] = useState('')
+  const ref = useRef(null)
+  const members = state.members ?? []
+
+  useEffect(() => {
+    if (!open) return
+    function handleClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const add = (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    const member = { id: makeMemberId(), name: name.trim(), initials: makeInitials(name), color: nextMemberColor(state) }
+    dispatch({ type: 'ADD_MEMBER', payload: { member } })
+    setName('')
+  }
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="inline-flex items-center gap-1 px-3 py-1 rounded-md text-xs font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+      >
+        Team
+        {members.length > 0 && <span className="text-gray-400">{members.length}</span>}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-[26rem] bg-white rounded-lg shadow-lg border border-gray-200 z-50 p-4 text-sm text-gray-700">
+          <h3 className="font-semibold text-gray-900 mb-2">Team members</h3>
+          {members.length === 0 ? (
+            <p className="text-xs text-gray-500 py-2">Add the people who work on this board to assign cards to them.</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto">
+              {members.map(member => (
+                <MemberRow
+                  key={member.id}
+                  member={member}
+                  cardCount={state.cards.filter(c => c.assignees?.includes(member.id)).length}
+                  dispatch={dispatch}
+                />
+              ))}
+            </ul>
+          )}
+          <form onSubmit={add} className="flex gap-2 mt-2">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name..."
+              className="flex-1 min-w-0 text-xs border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Add
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
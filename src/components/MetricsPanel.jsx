@@ -0,0 +1,182 @@
+import { useState, useRef, useEffect, useMemo } from 'react'
+import { useBoardState } from '../store.jsx'
+import { computeFlowMetrics, defaultStartColumn } from '../metrics.js'
+import { formatDate, todayISO } from '../dates.js'
+
+const RANGES = [7, 30, 90]
+
+function formatDays(days) {
+  if (days === null || days === undefined) return '—'
+  return days < 1 ? `${Math.round(days * 24)}h` : `${days}d`
+}
+
+function Stat({ label, stats }) {
+  return (
+    <div className="rounded border border-gray-200 p-2">
+      <p className="text-xs text-gray-500">{label}</p>
+      <p className="text-lg font-semibold text-gray-900">{formatDays(stats?.averageDays)}</p>
+      <p className="text-xs text-gray-400">{stats ? `median ${formatDays(stats.medianDays)}` : 'no finished cards'}</p>
+    </div>
+  )
+}
+
+// Stacked areas, bottom to top from the last column to the first, as is
+// usual for a cumulative flow diagram.
+function FlowDiagram({ days, state }) {
+  const width = 400
+  const height = 120
+  const layers = [...state.columns].reverse()
+  const max = Math.max(1, ...days.map(d => layers.reduce((sum, id) => sum + d.counts[id], 0)))
+  const x = i => (days.length === 1 ? width / 2 : (i / (days.length - 1)) * width)
+  const y = n => height - (n / max) * height
+
+  const below = days.map(() => 0)
+  const areas = layers.map(id => {
+    const bottom = [...below]
+    days.forEach((d, i) => { below[i] += d.counts[id] })
+    const top = days.map((_, i) => `${x(i)},${y(below[i])}`)
+    const base = days.map((_, i) => `${x(i)},${y(bottom[i])}`).reverse()
+    return { id, points: [...top, ...base].join(' ') }
+  })
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-32" preserveAspectRatio="none" role="img" aria-label="Cumulative flow diagram">
+        {areas.map(area => (
+          <polygon key={area.id} points={area.points} fill={state.columnMeta[area.id].color} fillOpacity="0.8" />
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-400">
+        <span>{formatDate(days[0].date)}</span>
+        <span>{formatDate(days[days.length - 1].date)}</span>
+      </div>
+      <div className="mt-1 flex flex-wrap gap-x-3 gap-y-1">
+        {state.columns.map(id => (
+          <span key={id} className="inline-flex items-center gap-1 text-xs text-gray-600">
+            <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: state.columnMeta[id].color }} />
+            {state.columnMeta[id].title} ({days[days.length - 1].counts[id]})
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Lead time, cycle time, throughput, time in column and cumulative flow for
+// the board on screen, computed in the browser from card transitions.
+export default function MetricsPanel() {
+  const state = useBoardState()
+  const [open, setOpen] = useState(false)
+  const [range, setRange] = useState(30)
+  const [startColumn, setStartColumn] = useState('')
+  const ref = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    function handleClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const metrics = useMemo(() => {
+    if (!open) return null
+    const to = todayISO()
+    const from = new Date(Date.now() - (range - 1) * 86400000)
+    return computeFlowMetrics(state, { from: todayISO(from), to, startColumn: startColumn || undefined })
+  }, [open, state, range, startColumn])
+
+  const maxThroughput = metrics ? Math.max(1, ...metrics.throughput.map(w => w.finished)) : 1
+  const maxColumnDays = metrics ? Math.max(1, ...metrics.timeInColumn.map(c => c.averageDays ?? 0)) : 1
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="inline-flex items-center gap-1 px-3 py-1 rounded-md text-xs font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+      >
+        Metrics
+      </button>
+
+      {open && metrics && (
+        <div className="absolute right-0 mt-2 w-[32rem] max-h-[80vh] overflow-y-auto bg-white rounded-lg shadow-lg border border-gray-200 z-50 p-4 text-sm text-gray-700 space-y-4">
+          <div className="flex items-center justify-between gap-2">
+            <h3 className="font-semibold text-gray-900">Flow metrics</h3>
+            <div className="flex gap-2">
+              <select
+                value={startColumn || defaultStartColumn(state)}
+                onChange={(e) => setStartColumn(e.target.value)}
+                aria-label="Cycle time starts in"
+                title="Cycle time starts when a card reaches this column"
+                className="text-xs border border-gray-300 rounded px-1 py-1 text-gray-600"
+              >
+                {state.columns.slice(0, -1).map(id => (
+                  <option key={id} value={id}>Starts: {state.columnMeta[id].title}</option>
+                ))}
+              </select>
+              <select
+                value={range}
+                onChange={(e) => setRange(Number(e.target.value))}
+                aria-label="Period"
+                className="text-xs border border-gray-300 rounded px-1 py-1 text-gray-600"
+              >
+                {RANGES.map(days => <option key={days} value={days}>Last {days} days</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-2">
+            <Stat label="Lead time" stats={metrics.leadTime} />
+            <Stat label="Cycle time" stats={metrics.cycleTime} />
+            <div className="rounded border border-gray-200 p-2">
+              <p className="text-xs text-gray-500">Finished</p>
+              <p className="text-lg font-semibold text-gray-900">{metrics.finishedCount}</p>
+              <p className="text-xs text-gray-400">in {state.columnMeta[metrics.doneColumn].title}</p>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-xs font-medium text-gray-500 mb-1">Throughput per week</h4>
+            <div className="flex items-end gap-1 h-20">
+              {metrics.throughput.map(week => (
+                <div key={week.weekStart} className="flex-1 flex flex-col items-center justify-end h-full" title={`Week of ${formatDate(week.weekStart)}: ${week.finished}`}>
+                  <span className="text-xs text-gray-500">{week.finished || ''}</span>
+                  <div className="w-full bg-blue-500 rounded-t" style={{ height: `${(week.finished / maxThroughput) * 100}%` }} />
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-400">
+              <span>{formatDate(metrics.throughput[0].weekStart)}</span>
+              <span>{formatDate(metrics.throughput[metrics.throughput.length - 1].weekStart)}</span>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-xs font-medium text-gray-500 mb-1">Average time in column</h4>
+            <ul className="space-y-1">
+              {metrics.timeInColumn.map(col => (
+                <li key={col.column} className="flex items-center gap-2 text-xs">
+                  <span className="w-24 truncate text-gray-600">{col.title}</span>
+                  <div className="flex-1 h-2 bg-gray-100 rounded">
+                    <div
+                      className="h-2 rounded"
+                      style={{ width: `${((col.averageDays ?? 0) / maxColumnDays) * 100}%`, backgroundColor: state.columnMeta[col.column].color }}
+                    />
+                  </div>
+                  <span className="w-10 text-right text-gray-500">{formatDays(col.averageDays)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div>
+            <h4 className="text-xs font-medium text-gray-500 mb-1">Cumulative flow</h4>
+            <FlowDiagram days={metrics.cumulativeFlow} state={state} />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
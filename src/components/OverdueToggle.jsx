@@ -0,0 +1,25 @@
+import { useBoardState } from '../store.jsx'
+import { useFilter } from '../filter.jsx'
+import { dueStatus } from '../dates.js'
+
+// Narrows the board to overdue cards through the shared filter, so it
+// combines with the filter bar and follows its dim/hide setting.
+export default function OverdueToggle() {
+  const state = useBoardState()
+  const { filter, setFilter } = useFilter()
+  const count = state.cards.filter(c => dueStatus(c, state)?.status === 'overdue').length
+  const active = filter.due === 'overdue'
+  if (count === 0 && !active) return null
+
+  return (
+    <button
+      onClick={() => setFilter({ ...filter, due: active ? '' : 'overdue' })}
+      aria-pressed={active}
+      className={`inline-flex items-center gap-1 px-3 py-1 rounded-md text-xs font-medium border transition-colors ${
+        active ? 'border-red-500 bg-red-600 text-white' : 'border-red-300 text-red-700 hover:bg-red-50'
+      }`}
+    >
+      {count} overdue
+    </button>
+  )
+}
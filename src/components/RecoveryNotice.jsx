@@ -0,0 +1,42 @@
+import { useBoards, useBoardsDispatch } from '../store.jsx'
+import { readQuarantine } from '../persistence.js'
+
+function downloadQuarantine() {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(readQuarantine(), null, 2)], { type: 'application/json' }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `kanban-recovered-data-${new Date().toISOString().slice(0, 10)}.json`
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+// Shown once after loading if saved data had to be repaired or set aside.
+export default function RecoveryNotice() {
+  const { notices } = useBoards()
+  const dispatch = useBoardsDispatch()
+  if (notices.length === 0) return null
+
+  return (
+    <div role="alert" className="mb-4 rounded-lg border border-amber-300 bg-amber-50 p-3 text-sm text-amber-900">
+      <p className="font-medium">Some saved data could not be loaded as-is.</p>
+      <ul className="list-disc pl-5 mt-1">
+        {notices.map((notice, i) => <li key={i}>{notice}</li>)}
+      </ul>
+      <p className="mt-1 text-xs text-amber-800">Nothing was deleted: the unreadable data was kept aside and can be downloaded for manual repair.</p>
+      <div className="flex gap-2 mt-2">
+        <button
+          onClick={downloadQuarantine}
+          className="text-xs border border-amber-400 rounded px-2 py-1 hover:bg-amber-100"
+        >
+          Download set-aside data
+        </button>
+        <button
+          onClick={() => dispatch({ type: 'DISMISS_NOTICES' })}
+          className="text-xs text-amber-800 px-2 py-1 hover:underline"
+        >
+          Dismiss
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,60 @@
+import { useState, useRef, useEffect } from 'react'
+import { useApproval, POLICIES } from '../approval.jsx'
+
+const POLICY_LABELS = { allow: 'Allow', confirm: 'Ask me', deny: 'Block' }
+
+export default function SettingsMenu() {
+  const { policy, tools, setToolPolicy, resetPolicy } = useApproval()
+  const [open, setOpen] = useState(false)
+  const ref = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    function handleClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="inline-flex items-center gap-1 px-3 py-1 rounded-md text-xs font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+      >
+        Settings
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 z-50 p-4 text-sm text-gray-700">
+          <div className="flex items-center justify-between mb-1">
+            <h3 className="font-semibold text-gray-900">Agent permissions</h3>
+            <button onClick={resetPolicy} className="text-xs text-gray-500 hover:text-gray-700">
+              Reset
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mb-2">
+            Choose what happens when an AI agent calls each tool. &ldquo;Ask me&rdquo; shows a preview of the change for you to approve first.
+          </p>
+          <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100">
+            {tools.map(tool => (
+              <li key={tool} className="flex items-center justify-between py-1">
+                <span className="font-mono text-xs">{tool}</span>
+                <select
+                  value={policy[tool] ?? 'allow'}
+                  onChange={(e) => setToolPolicy(tool, e.target.value)}
+                  aria-label={`Permission for ${tool}`}
+                  className="text-xs border border-gray-300 rounded px-1 py-0.5 text-gray-600"
+                >
+                  {POLICIES.map(p => <option key={p} value={p}>{POLICY_LABELS[p]}</option>)}
+                </select>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
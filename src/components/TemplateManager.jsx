@@ -0,0 +1,246 @@
+import { useState, useRef, useEffect } from 'react'
+import { useBoardState, useBoardDispatch } from '../store.jsx'
+import { formatDate, todayISO } from '../dates.js'
+import { PRIORITIES } from '../schema.js'
+import {
+  FREQUENCIES,
+  TITLE_PLACEHOLDERS,
+  makeTemplateId,
+  recurringCardActions,
+  reschedule,
+} from '../templates.js'
+
+const RECHECK_MS = 60 * 60 * 1000
+
+const inputClass = 'w-full text-xs border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  title: '',
+  description: '',
+  priority: 'medium',
+  labels: [],
+  column: null,
+  recurrence: null,
+}
+
+function TemplateForm({ template, state, onSave, onCancel }) {
+  const [draft, setDraft] = useState({
+    ...template,
+    labels: template.labels.join(', '),
+    frequency: template.recurrence?.frequency ?? '',
+    start: template.recurrence?.start ?? todayISO(),
+  })
+  const set = (field) => (e) => setDraft({ ...draft, [field]: e.target.value })
+
+  const save = (e) => {
+    e.preventDefault()
+    const { frequency, start, ...rest } = draft
+    const schedule = frequency && { frequency, start }
+    const unchanged = template.recurrence?.frequency === frequency && template.recurrence?.start === start
+    onSave({
+      ...rest,
+      name: draft.name.trim(),
+      title: draft.title.trim() || '{title}',
+      labels: draft.labels.split(',').map(l => l.trim()).filter(Boolean),
+      column: draft.column || null,
+      recurrence: schedule
+        ? unchanged ? template.recurrence : reschedule(schedule, template.recurrence)
+        : null,
+    })
+  }
+
+  return (
+    <form onSubmit={save} className="space-y-2 text-xs">
+      <input value={draft.name} onChange={set('name')} placeholder="Template name, e.g. Bug report" aria-label="Template name" autoFocus className={inputClass} />
+      <input
+        value={draft.title}
+        onChange={set('title')}
+        placeholder="Title, e.g. Bug: {title} or Weekly review {week}"
+        aria-label="Title pattern"
+        title={`Placeholders: ${TITLE_PLACEHOLDERS.join(', ')}`}
+        className={inputClass}
+      />
+      <textarea value={draft.description} onChange={set('description')} rows={3} placeholder="Description (Markdown)" aria-label="Description" className={inputClass} />
+      <div className="grid grid-cols-2 gap-2">
+        <select value={draft.priority} onChange={set('priority')} aria-label="Priority" className={inputClass}>
+          {PRIORITIES.map(p => <option key={p} value={p}>{p[0].toUpperCase() + p.slice(1)} priority</option>)}
+        </select>
+        <select value={draft.column ?? ''} onChange={set('column')} aria-label="Column" className={inputClass}>
+          <option value="">First column</option>
+          {state.columns.map(id => <option key={id} value={id}>{state.columnMeta[id].title}</option>)}
+        </select>
+      </div>
+      <input value={draft.labels} onChange={set('labels')} placeholder="Labels, comma separated" aria-label="Labels" className={inputClass} />
+      <div className="grid grid-cols-2 gap-2">
+        <select value={draft.frequency} onChange={set('frequency')} aria-label="Repeat" className={inputClass}>
+          <option value="">Doesn&apos;t repeat</option>
+          {FREQUENCIES.map(f => <option key={f} value={f}>Repeats {f}</option>)}
+        </select>
+        {draft.frequency && (
+          <input type="date" value={draft.start} onChange={set('start')} aria-label="Repeat starting" className={inputClass} required />
+        )}
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="text-gray-500 hover:text-gray-700">Cancel</button>
+        <button
+          type="submit"
+          disabled={!draft.name.trim()}
+          className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          Save
+        </button>
+      </div>
+    </form>
+  )
+}
+
+function TemplateRow({ template, state, dispatch, onEdit }) {
+  const [confirmingDelete, setConfirmingDelete] = useState(false)
+  const column = template.column && state.columnMeta[template.column]?.title
+
+  return (
+    <li className="flex items-center gap-2 py-1.5 border-b border-gray-100 last:border-0">
+      <div className="flex-1 min-w-0">
+        <p className="text-xs font-medium text-gray-900 truncate">{template.name}</p>
+        <p className="text-xs text-gray-400 truncate">
+          {template.title}{column && ` · ${column}`}
+          {template.recurrence && ` · ${template.recurrence.frequency}, next ${formatDate(template.recurrence.next)}`}
+        </p>
+      </div>
+      <button onClick={onEdit} className="text-xs text-gray-500 hover:text-gray-800">Edit</button>
+      {confirmingDelete ? (
+        <button
+          onClick={() => dispatch({ type: 'DELETE_TEMPLATE', payload: { templateId: template.id } })}
+          onBlur={() => setConfirmingDelete(false)}
+          autoFocus
+          className="text-xs text-white bg-red-600 rounded px-1.5 py-0.5 hover:bg-red-700"
+        >
+          Delete
+        </button>
+      ) : (
+        <button
+          onClick={() => setConfirmingDelete(true)}
+          aria-label={`Delete template ${template.name}`}
+          className="text-gray-400 hover:text-red-600"
+        >
+          &times;
+        </button>
+      )}
+    </li>
+  )
+}
+
+// The board's card templates. While the board is open, recurring templates
+// create their cards when due: on load, whenever a schedule changes, and
+// hourly after that.
+export default function TemplateManager() {
+  const state = useBoardState()
+  const dispatch = useBoardDispatch()
+  const [open, setOpen] = useState(false)
+  // null, 'new' or the ID of the template being edited
+  const [editing, setEditing] = useState(null)
+  const [tick, setTick] = useState(0)
+  const ref = useRef(null)
+  const templates = state.templates ?? []
+
+  useEffect(() => {
+    if (!open) return
+    function handleClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const recurring = templates.some(t => t.recurrence)
+  useEffect(() => {
+    if (!recurring) return
+    const timer = setInterval(() => setTick(t => t + 1), RECHECK_MS)
+    return () => clearInterval(timer)
+  }, [recurring])
+
+  // As with auto-archiving, not rerun on every change, so undoing a
+  // recurring card doesn't bring it straight back; only when a schedule is
+  // added or changed
+  const stateRef = useRef(state)
+  stateRef.current = state
+  const schedules = templates
+    .filter(t => t.recurrence)
+    .map(t => `${t.id}:${t.recurrence.frequency}:${t.recurrence.start}`)
+    .join()
+  useEffect(() => {
+    const actions = recurringCardActions(stateRef.current)
+    if (actions.length === 0) return
+    dispatch(actions.length === 1 ? actions[0] : {
+      type: 'BATCH',
+      payload: { actions, label: `Create ${actions.length} recurring cards` },
+    })
+  }, [schedules, tick, dispatch])
+
+  const save = (template) => {
+    if (editing === 'new') {
+      dispatch({ type: 'ADD_TEMPLATE', payload: { template: { ...template, id: makeTemplateId() } } })
+    } else {
+      const { id, ...updates } = template
+      dispatch({ type: 'UPDATE_TEMPLATE', payload: { templateId: id, updates } })
+    }
+    setEditing(null)
+  }
+
+  const editingTemplate = editing === 'new' ? EMPTY_TEMPLATE : templates.find(t => t.id === editing)
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="inline-flex items-center gap-1 px-3 py-1 rounded-md text-xs font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+      >
+        Templates
+        {templates.length > 0 && <span className="text-gray-400">{templates.length}</span>}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-[26rem] bg-white rounded-lg shadow-lg border border-gray-200 z-50 p-4 text-sm text-gray-700">
+          <h3 className="font-semibold text-gray-900 mb-2">Card templates</h3>
+          {editingTemplate ? (
+            <TemplateForm
+              key={editing}
+              template={editingTemplate}
+              state={state}
+              onSave={save}
+              onCancel={() => setEditing(null)}
+            />
+          ) : (
+            <>
+              {templates.length === 0 ? (
+                <p className="text-xs text-gray-500 py-2">
+                  Templates fill in a new card&apos;s title, description, priority, labels and column. A template can also repeat, creating its card daily, weekly or monthly.
+                </p>
+              ) : (
+                <ul className="max-h-80 overflow-y-auto">
+                  {templates.map(template => (
+                    <TemplateRow
+                      key={template.id}
+                      template={template}
+                      state={state}
+                      dispatch={dispatch}
+                      onEdit={() => setEditing(template.id)}
+                    />
+                  ))}
+                </ul>
+              )}
+              <button
+                onClick={() => setEditing('new')}
+                className="mt-2 text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors"
+              >
+                New template
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
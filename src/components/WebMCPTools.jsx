@@ -1,61 +1,294 @@
-import { useEffect, useRef } from 'react'
+import { useCallback, useEffect, useMemo, useRef } from 'react'
 import { useWebMCP } from '@mcp-b/react-webmcp'
 import { z } from 'zod'
-import { useBoardState, useBoardDispatch } from '../store.jsx'
+import {
+  useBoards,
+  checkWipLimit,
+  applyBatch,
+  diffBoards,
+  columnCards,
+  makeColumnId,
+  makeBoardId,
+  COLUMN_COLORS,
+  PRIORITY_ORDER,
+} from '../store.jsx'
+import { summarizeEntry } from '../history.js'
+import { dateSchema } from '../schema.js'
+import { dueStatus, todayISO, daysBetween, DUE_SOON_DAYS } from '../dates.js'
+import { boardLinks, checkLink, findLink, isForwardMove, openBlockers } from '../links.js'
+import { computeFlowMetrics } from '../metrics.js'
+import { boardLabels, labelInfo } from '../labels.js'
+import { findMember } from '../members.js'
+import { searchArchived } from '../archive.js'
+import { makeCommentId } from '../comments.js'
+import { cardFromTemplate, findTemplate } from '../templates.js'
+import { matchesFilter, EMPTY_FILTER, UNASSIGNED } from '../filter.jsx'
+import { EXPORTERS, parseImport, summarizeImport } from '../exchange.js'
+import { useActivity, matchesActivity, ACTIVITY_LIMIT } from '../activity.jsx'
+import { useApproval } from '../approval.jsx'
 
-const COLUMNS = ['backlog', 'todo', 'in-progress', 'done']
-const columnEnum = z.enum(['backlog', 'todo', 'in-progress', 'done'])
 const priorityEnum = z.enum(['low', 'medium', 'high', 'critical'])
+const colorSchema = z.string().regex(/^#[0-9a-fA-F]{6}$/)
+
+// Spread into every board tool's schema
+const boardParam = {
+  boardId: z.string().optional().describe('Board to act on (defaults to the board on screen); see list_boards'),
+}
+
+function wipWarning(wip, columnTitle) {
+  return `"${columnTitle}" is over its WIP limit (${wip.count + 1}/${wip.limit})`
+}
+
+// Member IDs for a list of member IDs or names, or an error naming the
+// first one that is not on the board
+function resolveMembers(s, refs) {
+  const unknown = refs.filter(ref => !findMember(s, ref))
+  if (unknown.length > 0) {
+    return {
+      error: `Member(s) not found: ${unknown.map(ref => `"${ref}"`).join(', ')}; see get_workload for the board's members`,
+      unknown,
+    }
+  }
+  return { ids: [...new Set(refs.map(ref => findMember(s, ref).id))] }
+}
+
+// Open blockers of a card being moved forward, as an error (or, when
+// forced, a warning)
+function blockedMessage(blockers, forced) {
+  const titles = blockers.map(c => `"${c.title}"`).join(', ')
+  return forced
+    ? `Moved while still blocked by ${titles}`
+    : `Card is blocked by ${titles}; finish those first or pass force: true`
+}
+
+// The single-card tool each apply_operations op stands in for, so a batch
+// is subject to the same approval policy as doing the work one call at a time.
+const OPERATION_TOOLS = {
+  create: 'create_card',
+  move: 'move_card',
+  update: 'update_card',
+  delete: 'delete_card',
+  label: 'add_label',
+}
+
+// Turns one apply_operations entry into a board action, checked against the
+// board as it will be once the operations before it have run. `refs` maps
+// the `ref` names of cards created earlier in the batch to their IDs.
+function planOperation(op, s, refs) {
+  const findCard = (id) => s.cards.find(c => c.id === (refs[id] ?? id))
+  const card = op.cardId && findCard(op.cardId)
+  if (op.op !== 'create' && !card) return { error: `Card "${op.cardId}" not found` }
+
+  switch (op.op) {
+    case 'create': {
+      const column = op.column || s.columns[0]
+      if (!s.columns.includes(column)) return { error: `Column "${column}" does not exist` }
+      if (op.startDate && op.dueDate && op.dueDate < op.startDate) return { error: 'dueDate cannot be before startDate' }
+      if (op.ref && refs[op.ref]) return { error: `ref "${op.ref}" is already used earlier in the batch` }
+      const wip = checkWipLimit(s, column)
+      if (wip.blocked) return { error: `Column "${column}" is at its WIP limit (${wip.limit})` }
+      const id = crypto.randomUUID()
+      if (op.ref) refs[op.ref] = id
+      return {
+        cardId: id,
+        action: {
+          type: 'ADD_CARD',
+          payload: {
+            id,
+            title: op.title,
+            description: op.description || '',
+            priority: op.priority || 'medium',
+            labels: op.labels || [],
+            column,
+            startDate: op.startDate || null,
+            dueDate: op.dueDate || null,
+            createdAt: new Date().toISOString(),
+          },
+        },
+        ...(wip.exceeded && { warning: wipWarning(wip, s.columnMeta[column].title) }),
+      }
+    }
+
+    case 'move': {
+      if (!s.columns.includes(op.toColumn)) return { error: `Column "${op.toColumn}" does not exist` }
+      const before = op.beforeCardId && findCard(op.beforeCardId)
+      if (op.beforeCardId && before?.column !== op.toColumn) {
+        return { error: `Card "${op.beforeCardId}" is not in "${op.toColumn}"` }
+      }
+      const wip = card.column === op.toColumn ? null : checkWipLimit(s, op.toColumn)
+      if (wip?.blocked) return { error: `Column "${op.toColumn}" is at its WIP limit (${wip.limit})` }
+      const blockers = isForwardMove(s, card, op.toColumn) ? openBlockers(s, card.id) : []
+      if (blockers.length > 0 && !op.force) return { error: blockedMessage(blockers, false) }
+      const warnings = [
+        ...(wip?.exceeded ? [wipWarning(wip, s.columnMeta[op.toColumn].title)] : []),
+        ...(blockers.length > 0 ? [blockedMessage(blockers, true)] : []),
+      ]
+      return {
+        cardId: card.id,
+        action: {
+          type: 'MOVE_CARD',
+          payload: { cardId: card.id, toColumn: op.toColumn, beforeCardId: before?.id, position: op.position },
+        },
+        ...(warnings.length > 0 && { warning: warnings.join('; ') }),
+      }
+    }
+
+    case 'update': {
+      const updates = Object.fromEntries(
+        ['title', 'description', 'priority', 'labels', 'startDate', 'dueDate']
+          .filter(field => op[field] !== undefined)
+          .map(field => [field, op[field]])
+      )
+      if (Object.keys(updates).length === 0) return { error: 'No fields to update' }
+      const { startDate, dueDate } = { ...card, ...updates }
+      if (startDate && dueDate && dueDate < startDate) return { error: 'dueDate cannot be before startDate' }
+      return { cardId: card.id, action: { type: 'UPDATE_CARD', payload: { cardId: card.id, updates } } }
+    }
+
+    case 'delete':
+      return { cardId: card.id, action: { type: 'DELETE_CARD', payload: { cardId: card.id } } }
+
+    case 'label':
+      return { cardId: card.id, action: { type: 'ADD_LABEL', payload: { cardId: card.id, label: op.label } } }
+  }
+}
+
+// useWebMCP, with the tool's approval policy applied and every call
+// (including ones rejected by the input schema) recorded in the activity log.
+// `relatedTools` is passed to the approval gate; see approval.jsx.
+function useTool({ name, handler, relatedTools, ...config }) {
+  const { record } = useActivity()
+  const { gate, registerTool } = useApproval()
+  useEffect(() => registerTool(name), [name, registerTool])
+  return useWebMCP({
+    ...config,
+    name,
+    handler: gate(name, handler, relatedTools),
+    onSuccess: (result, args) => record(name, args, result),
+    onError: (error, args) => record(name, args, undefined, error),
+  })
+}
 
 export default function WebMCPTools() {
-  const state = useBoardState()
-  const dispatch = useBoardDispatch()
+  const root = useBoards()
+  const { dispatch: gatedDispatch } = useApproval()
+
+  // Everything dispatched from a tool is tagged so history and the UI can
+  // tell agent changes apart from the user's own, and goes through the
+  // approval gate.
+  const dispatch = useCallback(
+    action => gatedDispatch({ ...action, meta: { ...action.meta, source: 'agent' } }),
+    [gatedDispatch]
+  )
 
   // Keep a ref to the latest state so async handlers always read current data.
-  const stateRef = useRef(state)
+  const rootRef = useRef(root)
   useEffect(() => {
-    stateRef.current = state
-  }, [state])
+    rootRef.current = root
+  }, [root])
+
+  const { entries: activity } = useActivity()
+  const activityRef = useRef(activity)
+  useEffect(() => {
+    activityRef.current = activity
+  }, [activity])
+
+  // A tool is re-registered whenever its input schema object changes, so
+  // every schema is memoized. Column-valued parameters are validated against
+  // the live column lists, so those schemas are rebuilt (and the tools
+  // re-registered) when the columns change.
+  // The enum spans every board; onBoard() checks the column belongs to the
+  // board actually being targeted.
+  const allColumns = [...new Set(Object.values(root.boards).flatMap(b => b.present.columns))].join('\n')
+  const columnEnum = useMemo(() => z.enum(allColumns.split('\n')), [allColumns])
+
+  // Wraps a board tool's handler: resolves the optional boardId, rejects
+  // columns that do not exist on that board, and hands the handler that
+  // board's state and history plus a dispatch bound to it.
+  const onBoard = (handler) => async ({ boardId, ...args }) => {
+    const current = rootRef.current
+    const id = boardId ?? current.activeBoardId
+    const history = current.boards[id]
+    if (!history) return { success: false, error: `Board "${boardId}" not found` }
+    const s = history.present
+    const columnArgs = [args.column, args.toColumn, args.moveCardsTo, args.startColumn, ...(args.columns ?? [])]
+    const unknown = columnArgs.find(c => c !== undefined && !s.columns.includes(c))
+    if (unknown) return { success: false, error: `Column "${unknown}" does not exist on board "${id}"` }
+    return handler(args, {
+      state: s,
+      history,
+      boardId: id,
+      dispatch: action => dispatch({ ...action, boardId: id }),
+    })
+  }
 
   // Tool 1: get_board
-  useWebMCP({
+  useTool({
     name: 'get_board',
     description:
-      'Get the full kanban board state including all columns and all cards with their titles, descriptions, priorities, labels, and column assignments.',
-    handler: async () => {
-      const s = stateRef.current
+      'Get the full kanban board state including the board members and all columns and all cards with their titles, descriptions, priorities, labels, assignees (member IDs), and column assignments. Cards are listed top to bottom in their column order. Archived cards are left out; see list_archived.',
+    inputSchema: boardParam,
+    handler: onBoard(async (_args, { state: s, boardId }) => {
       const columns = s.columns.map(colId => ({
         column: colId,
         title: s.columnMeta[colId].title,
+        wipLimit: s.columnMeta[colId].wipLimit,
         cardCount: s.cards.filter(c => c.column === colId).length,
-        cards: s.cards
-          .filter(c => c.column === colId)
+        cards: columnCards(s.cards, colId)
           .map(c => ({
             id: c.id,
             title: c.title,
             description: c.description,
             priority: c.priority,
             labels: c.labels,
+            assignees: c.assignees ?? [],
+            startDate: c.startDate ?? null,
+            dueDate: c.dueDate ?? null,
+            checklist: c.checklist ?? [],
+            commentCount: c.comments?.length ?? 0,
             createdAt: c.createdAt,
           })),
       }))
-      return { columns, totalCards: s.cards.length }
-    },
+      const board = rootRef.current.boardList.find(b => b.id === boardId)
+      const members = (s.members ?? []).map(({ id, name, initials }) => ({ id, name, initials }))
+      return {
+        boardId,
+        boardName: board.name,
+        members,
+        columns,
+        totalCards: s.cards.length,
+        archivedCards: s.archived?.length ?? 0,
+      }
+    }),
   })
 
   // Tool 2: create_card
-  useWebMCP({
+  useTool({
     name: 'create_card',
     description:
       'Create a new card on the kanban board in a specified column. Returns the created card with its generated ID.',
-    inputSchema: {
+    inputSchema: useMemo(() => ({
       title: z.string().min(1).describe('Card title (required)'),
-      description: z.string().optional().describe('Card description'),
+      description: z.string().optional().describe('Card description, in Markdown; "- [ ] step" lines become checkboxes'),
       priority: priorityEnum.default('medium').describe('Card priority level'),
       labels: z.array(z.string()).optional().describe('Array of label strings'),
-      column: columnEnum.default('backlog').describe('Column to place the card in'),
-    },
-    handler: async ({ title, description, priority, labels, column }) => {
+      assignees: z.array(z.string().min(1)).optional().describe('Board members to assign, by member ID or name'),
+      column: columnEnum.optional().describe('Column to place the card in (defaults to the first column)'),
+      startDate: dateSchema.optional().describe('Start date, YYYY-MM-DD'),
+      dueDate: dateSchema.optional().describe('Due date, YYYY-MM-DD'),
+      ...boardParam,
+    }), [columnEnum]),
+    handler: onBoard(async ({ title, description, priority, labels, assignees, column, startDate, dueDate }, { state: s, dispatch }) => {
+      if (startDate && dueDate && dueDate < startDate) {
+        return { success: false, error: 'dueDate cannot be before startDate' }
+      }
+      const members = resolveMembers(s, assignees ?? [])
+      if (members.error) return { success: false, error: members.error }
+      const targetColumn = column || s.columns[0]
+      const wip = checkWipLimit(s, targetColumn)
+      if (wip.blocked) {
+        return { success: false, error: `Column "${targetColumn}" is at its WIP limit (${wip.limit})` }
+      }
       const id = crypto.randomUUID()
       const newCard = {
         id,
@@ -63,132 +296,206 @@ export default function WebMCPTools() {
         description: description || '',
         priority: priority || 'medium',
         labels: labels || [],
-        column: column || 'backlog',
+        assignees: members.ids,
+        column: targetColumn,
+        startDate: startDate || null,
+        dueDate: dueDate || null,
       }
       dispatch({ type: 'ADD_CARD', payload: newCard })
-      return { success: true, card: { ...newCard, createdAt: new Date().toISOString() } }
-    },
+      return {
+        success: true,
+        card: { ...newCard, createdAt: new Date().toISOString() },
+        ...(wip.exceeded && { warning: wipWarning(wip, s.columnMeta[targetColumn].title) }),
+      }
+    }),
   })
 
   // Tool 3: move_card
-  useWebMCP({
+  useTool({
     name: 'move_card',
     description:
-      'Move a card from its current column to a different column on the kanban board.',
-    inputSchema: {
+      'Move a card to a different column, or to an exact position within a column. Without beforeCardId or position the card goes to the bottom of the target column. To reorder within the same column, pass its current column as toColumn together with beforeCardId or position. A card blocked by unfinished cards (see link_cards) is not moved to a column further right unless force is true.',
+    inputSchema: useMemo(() => ({
       cardId: z.string().min(1).describe('The ID of the card to move'),
       toColumn: columnEnum.describe('Target column to move the card to'),
-    },
-    handler: async ({ cardId, toColumn }) => {
-      const card = stateRef.current.cards.find(c => c.id === cardId)
+      beforeCardId: z.string().min(1).optional().describe('Place the card directly above this card in the target column'),
+      position: z.number().int().min(0).optional().describe('Zero-based position in the target column (0 = top); ignored if beforeCardId is given'),
+      force: z.boolean().default(false).describe('Move a blocked card forward anyway'),
+      ...boardParam,
+    }), [columnEnum]),
+    handler: onBoard(async ({ cardId, toColumn, beforeCardId, position, force }, { state: s, dispatch }) => {
+      const card = s.cards.find(c => c.id === cardId)
       if (!card) return { success: false, error: `Card "${cardId}" not found` }
-      if (card.column === toColumn) return { success: false, error: `Card is already in "${toColumn}"` }
+      const placed = beforeCardId !== undefined || position !== undefined
+      if (card.column === toColumn && !placed) {
+        return { success: false, error: `Card is already in "${toColumn}"` }
+      }
+      if (beforeCardId !== undefined) {
+        if (beforeCardId === cardId) return { success: false, error: 'beforeCardId cannot be the card being moved' }
+        const before = s.cards.find(c => c.id === beforeCardId)
+        if (!before || before.column !== toColumn) {
+          return { success: false, error: `Card "${beforeCardId}" is not in "${toColumn}"` }
+        }
+      }
+      const wip = card.column === toColumn ? null : checkWipLimit(s, toColumn)
+      if (wip?.blocked) {
+        return { success: false, error: `Column "${toColumn}" is at its WIP limit (${wip.limit})` }
+      }
+      const blockers = isForwardMove(s, card, toColumn) ? openBlockers(s, cardId) : []
+      if (blockers.length > 0 && !force) {
+        return {
+          success: false,
+          error: blockedMessage(blockers, false),
+          blockedBy: blockers.map(c => ({ id: c.id, title: c.title, column: c.column })),
+        }
+      }
+      const warnings = [
+        ...(wip?.exceeded ? [wipWarning(wip, s.columnMeta[toColumn].title)] : []),
+        ...(blockers.length > 0 ? [blockedMessage(blockers, true)] : []),
+      ]
       const fromColumn = card.column
-      dispatch({ type: 'MOVE_CARD', payload: { cardId, toColumn } })
-      return { success: true, cardId, fromColumn, toColumn }
-    },
+      dispatch({ type: 'MOVE_CARD', payload: { cardId, toColumn, beforeCardId, position } })
+      const siblings = columnCards(s.cards, toColumn).filter(c => c.id !== cardId)
+      let newPosition = siblings.length
+      if (beforeCardId !== undefined) newPosition = siblings.findIndex(c => c.id === beforeCardId)
+      else if (position !== undefined) newPosition = Math.min(position, siblings.length)
+      return {
+        success: true,
+        cardId,
+        fromColumn,
+        toColumn,
+        position: newPosition,
+        ...(warnings.length > 0 && { warning: warnings.join('; ') }),
+      }
+    }),
   })
 
   // Tool 4: update_card
-  useWebMCP({
+  useTool({
     name: 'update_card',
     description:
-      'Update one or more fields of an existing card (title, description, priority, or labels).',
-    inputSchema: {
+      'Update one or more fields of an existing card (title, description, priority, labels, assignees, start date or due date). Pass null for a date to clear it.',
+    inputSchema: useMemo(() => ({
       cardId: z.string().min(1).describe('The ID of the card to update'),
       title: z.string().min(1).optional().describe('New card title'),
-      description: z.string().optional().describe('New card description'),
+      description: z.string().optional().describe('New card description, in Markdown'),
       priority: priorityEnum.optional().describe('New priority level'),
       labels: z.array(z.string()).optional().describe('Replace the entire labels array'),
-    },
-    handler: async ({ cardId, title, description, priority, labels }) => {
-      const card = stateRef.current.cards.find(c => c.id === cardId)
+      assignees: z.array(z.string().min(1)).optional().describe('Replace all assignees, by member ID or name ([] unassigns everyone)'),
+      startDate: dateSchema.nullable().optional().describe('New start date, YYYY-MM-DD, or null to clear'),
+      dueDate: dateSchema.nullable().optional().describe('New due date, YYYY-MM-DD, or null to clear'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId, title, description, priority, labels, assignees, startDate, dueDate }, { state: s, dispatch }) => {
+      const card = s.cards.find(c => c.id === cardId)
       if (!card) return { success: false, error: `Card "${cardId}" not found` }
+      const nextStart = startDate === undefined ? card.startDate : startDate
+      const nextDue = dueDate === undefined ? card.dueDate : dueDate
+      if (nextStart && nextDue && nextDue < nextStart) {
+        return { success: false, error: 'dueDate cannot be before startDate' }
+      }
+      const members = resolveMembers(s, assignees ?? [])
+      if (members.error) return { success: false, error: members.error }
       const updates = {}
       if (title !== undefined) updates.title = title
       if (description !== undefined) updates.description = description
       if (priority !== undefined) updates.priority = priority
       if (labels !== undefined) updates.labels = labels
+      if (assignees !== undefined) updates.assignees = members.ids
+      if (startDate !== undefined) updates.startDate = startDate
+      if (dueDate !== undefined) updates.dueDate = dueDate
       dispatch({ type: 'UPDATE_CARD', payload: { cardId, updates } })
       return { success: true, cardId, updatedFields: Object.keys(updates) }
-    },
+    }),
   })
 
   // Tool 5: delete_card
-  useWebMCP({
+  useTool({
     name: 'delete_card',
-    description: 'Permanently delete a card from the kanban board.',
-    inputSchema: {
+    description:
+      'Permanently delete a card from the kanban board. With archive set, the card is archived instead and can be brought back with restore_card.',
+    inputSchema: useMemo(() => ({
       cardId: z.string().min(1).describe('The ID of the card to delete'),
-    },
-    handler: async ({ cardId }) => {
-      const card = stateRef.current.cards.find(c => c.id === cardId)
+      archive: z.boolean().default(false).describe('Archive the card instead of deleting it'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId, archive }, { state: s, dispatch }) => {
+      const card = s.cards.find(c => c.id === cardId)
       if (!card) return { success: false, error: `Card "${cardId}" not found` }
+      if (archive) {
+        dispatch({ type: 'ARCHIVE_CARDS', payload: { cardIds: [cardId] } })
+        return { success: true, archivedCard: { id: card.id, title: card.title, column: card.column } }
+      }
       dispatch({ type: 'DELETE_CARD', payload: { cardId } })
       return { success: true, deletedCard: { id: card.id, title: card.title, column: card.column } }
-    },
+    }),
   })
 
   // Tool 6: add_label
-  useWebMCP({
+  useTool({
     name: 'add_label',
     description: 'Add a label to an existing card. Duplicate labels are ignored.',
-    inputSchema: {
+    inputSchema: useMemo(() => ({
       cardId: z.string().min(1).describe('The ID of the card'),
       label: z.string().min(1).describe('The label text to add'),
-    },
-    handler: async ({ cardId, label }) => {
-      const card = stateRef.current.cards.find(c => c.id === cardId)
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId, label }, { state: s, dispatch }) => {
+      const card = s.cards.find(c => c.id === cardId)
       if (!card) return { success: false, error: `Card "${cardId}" not found` }
       if (card.labels.includes(label)) {
         return { success: true, alreadyExists: true, cardId, label }
       }
       dispatch({ type: 'ADD_LABEL', payload: { cardId, label } })
       return { success: true, cardId, label, newLabelCount: card.labels.length + 1 }
-    },
+    }),
   })
 
   // Tool 7: get_column_summary
-  useWebMCP({
+  useTool({
     name: 'get_column_summary',
     description:
-      'Get a summary of a specific column including card count, priority breakdown, and list of card titles.',
-    inputSchema: {
+      "Get a summary of a specific column including card count, priority breakdown, the labels used in it (with their board color and description, see list_labels) and list of card titles.",
+    inputSchema: useMemo(() => ({
       column: columnEnum.describe('Column to summarize'),
-    },
-    handler: async ({ column }) => {
-      const s = stateRef.current
-      const cards = s.cards.filter(c => c.column === column)
+      ...boardParam,
+    }), [columnEnum]),
+    handler: onBoard(async ({ column }, { state: s }) => {
+      const cards = columnCards(s.cards, column)
       const meta = s.columnMeta[column]
       const priorities = { low: 0, medium: 0, high: 0, critical: 0 }
       cards.forEach(c => {
         priorities[c.priority]++
       })
-      const allLabels = [...new Set(cards.flatMap(c => c.labels))]
+      const allLabels = [...new Set(cards.flatMap(c => c.labels))].map(name => ({
+        ...labelInfo(s, name),
+        cardCount: cards.filter(c => c.labels.includes(name)).length,
+      }))
       return {
         column,
         title: meta.title,
         cardCount: cards.length,
+        wipLimit: meta.wipLimit,
         priorities,
         labels: allLabels,
         cards: cards.map(c => ({ id: c.id, title: c.title, priority: c.priority })),
       }
-    },
+    }),
   })
 
   // Tool 8: prioritize_column
-  useWebMCP({
+  useTool({
     name: 'prioritize_column',
     description:
       'Reorder cards within a column by priority (critical first, then high, medium, low).',
-    inputSchema: {
+    inputSchema: useMemo(() => ({
       column: columnEnum.describe('Column to reorder'),
-    },
-    handler: async ({ column }) => {
-      const cards = stateRef.current.cards.filter(c => c.column === column)
-      const priorityOrder = { critical: 0, high: 1, medium: 2, low: 3 }
+      ...boardParam,
+    }), [columnEnum]),
+    handler: onBoard(async ({ column }, { state: s, dispatch }) => {
+      const cards = columnCards(s.cards, column)
       const sorted = [...cards].sort(
-        (a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]
+        (a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]
       )
       const cardIds = sorted.map(c => c.id)
       dispatch({ type: 'REORDER_COLUMN', payload: { column, cardIds } })
@@ -197,8 +504,932 @@ export default function WebMCPTools() {
         column,
         newOrder: sorted.map(c => ({ id: c.id, title: c.title, priority: c.priority })),
       }
+    }),
+  })
+
+  // Tool 9: undo
+  useTool({
+    name: 'undo',
+    description:
+      'Undo the most recent change to the board, whether it was made by an agent or by the user. Call get_history first to see what will be undone.',
+    inputSchema: boardParam,
+    handler: onBoard(async (_args, { history, dispatch }) => {
+      const entry = history.past.at(-1)
+      if (!entry) return { success: false, error: 'Nothing to undo' }
+      dispatch({ type: 'UNDO' })
+      return { success: true, undone: summarizeEntry(entry) }
+    }),
+  })
+
+  // Tool 10: redo
+  useTool({
+    name: 'redo',
+    description: 'Redo the most recently undone change to the board.',
+    inputSchema: boardParam,
+    handler: onBoard(async (_args, { history, dispatch }) => {
+      const entry = history.future[0]
+      if (!entry) return { success: false, error: 'Nothing to redo' }
+      dispatch({ type: 'REDO' })
+      return { success: true, redone: summarizeEntry(entry) }
+    }),
+  })
+
+  // Tool 11: get_history
+  useTool({
+    name: 'get_history',
+    description:
+      'Get the board change history. Returns recent changes (newest first) that can be undone, and undone changes that can be redone.',
+    inputSchema: useMemo(() => ({
+      limit: z.number().int().min(1).max(50).default(10).describe('Maximum number of entries to return per list'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ limit }, { history }) => {
+      const { past, future } = history
+      return {
+        undoable: past.slice(-limit).reverse().map(summarizeEntry),
+        redoable: future.slice(0, limit).map(summarizeEntry),
+        canUndo: past.length > 0,
+        canRedo: future.length > 0,
+      }
+    }),
+  })
+
+  // Tool 12: create_column
+  useTool({
+    name: 'create_column',
+    description:
+      'Add a new column to the board. Returns the generated column ID, which is what other tools expect for column parameters.',
+    inputSchema: useMemo(() => ({
+      title: z.string().min(1).describe('Column title'),
+      color: colorSchema.optional().describe('Hex color such as "#8B5CF6"'),
+      wipLimit: z.number().int().min(1).optional().describe('Maximum number of cards allowed in the column'),
+      enforceWipLimit: z.boolean().default(false).describe('Refuse moves and new cards past the WIP limit instead of only warning'),
+      position: z.number().int().min(0).optional().describe('Zero-based position among the columns (defaults to the end)'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ title, color, wipLimit, enforceWipLimit, position }, { state: s, dispatch }) => {
+      const id = makeColumnId(s, title)
+      const column = {
+        id,
+        title,
+        color: color || COLUMN_COLORS[s.columns.length % COLUMN_COLORS.length],
+        wipLimit: wipLimit || null,
+        enforceWipLimit,
+      }
+      dispatch({ type: 'ADD_COLUMN', payload: { ...column, index: position } })
+      return { success: true, column }
+    }),
+  })
+
+  // Tool 13: update_column
+  useTool({
+    name: 'update_column',
+    description:
+      'Rename, recolor, reposition or change the WIP limit of an existing column. Pass wipLimit: null to remove the limit.',
+    inputSchema: useMemo(() => ({
+      column: columnEnum.describe('The ID of the column to update'),
+      title: z.string().min(1).optional().describe('New column title'),
+      color: colorSchema.optional().describe('New hex color'),
+      wipLimit: z.number().int().min(1).nullable().optional().describe('New WIP limit, or null to remove it'),
+      enforceWipLimit: z.boolean().optional().describe('Whether the WIP limit blocks moves instead of only warning'),
+      position: z.number().int().min(0).optional().describe('New zero-based position among the columns'),
+      ...boardParam,
+    }), [columnEnum]),
+    handler: onBoard(async ({ column, title, color, wipLimit, enforceWipLimit, position }, { dispatch }) => {
+      const updates = {}
+      if (title !== undefined) updates.title = title
+      if (color !== undefined) updates.color = color
+      if (wipLimit !== undefined) updates.wipLimit = wipLimit
+      if (enforceWipLimit !== undefined) updates.enforceWipLimit = enforceWipLimit
+      dispatch({ type: 'UPDATE_COLUMN', payload: { columnId: column, updates, index: position } })
+      return {
+        success: true,
+        column,
+        updatedFields: [...Object.keys(updates), ...(position !== undefined ? ['position'] : [])],
+      }
+    }),
+  })
+
+  // Tool 14: delete_column
+  useTool({
+    name: 'delete_column',
+    description:
+      'Delete a column. If the column still has cards, moveCardsTo is required unless deleteCards is true. The last remaining column cannot be deleted.',
+    inputSchema: useMemo(() => ({
+      column: columnEnum.describe('The ID of the column to delete'),
+      moveCardsTo: columnEnum.optional().describe('Column that receives the deleted column\'s cards'),
+      deleteCards: z.boolean().default(false).describe('Permanently delete the column\'s cards instead of moving them'),
+      ...boardParam,
+    }), [columnEnum]),
+    handler: onBoard(async ({ column, moveCardsTo, deleteCards }, { state: s, dispatch }) => {
+      if (s.columns.length <= 1) return { success: false, error: 'Cannot delete the last column' }
+      if (moveCardsTo === column) return { success: false, error: 'moveCardsTo must be a different column' }
+      const cardCount = s.cards.filter(c => c.column === column).length
+      if (cardCount > 0 && !moveCardsTo && !deleteCards) {
+        return {
+          success: false,
+          error: `Column "${column}" has ${cardCount} card(s); pass moveCardsTo or deleteCards: true`,
+        }
+      }
+      dispatch({ type: 'DELETE_COLUMN', payload: { columnId: column, moveCardsTo } })
+      return {
+        success: true,
+        column,
+        ...(moveCardsTo ? { movedCards: cardCount, movedTo: moveCardsTo } : { deletedCards: cardCount }),
+      }
+    }),
+  })
+
+  // Tool 15: search_cards
+  useTool({
+    name: 'search_cards',
+    description:
+      'Find cards without reading the whole board. Uses the same rules as the filter bar: every word of query must appear in the title or description (case-insensitive); a card needs any one of the given labels, priorities, columns and assignees; all given criteria must hold. Dates are inclusive YYYY-MM-DD (UTC).',
+    inputSchema: useMemo(() => ({
+      query: z.string().default('').describe('Free text to search for in titles and descriptions'),
+      labels: z.array(z.string()).default([]).describe('Match cards with any of these labels'),
+      priorities: z.array(priorityEnum).default([]).describe('Match cards with any of these priorities'),
+      columns: z.array(columnEnum).default([]).describe('Match cards in any of these columns'),
+      assignees: z.array(z.string().min(1)).default([]).describe('Match cards assigned to any of these members (ID or name); "unassigned" matches cards with no assignee'),
+      createdFrom: dateSchema.optional().describe('Only cards created on or after this date'),
+      createdTo: dateSchema.optional().describe('Only cards created on or before this date'),
+      due: z.enum(['overdue', 'due-soon']).optional().describe(`Only overdue cards, or cards due within ${DUE_SOON_DAYS} days`),
+      limit: z.number().int().min(1).max(100).default(20).describe('Maximum number of cards to return'),
+      ...boardParam,
+    }), [columnEnum]),
+    handler: onBoard(async ({ query, labels, priorities, columns, assignees, createdFrom, createdTo, due, limit }, { state: s }) => {
+      const members = resolveMembers(s, assignees.filter(a => a !== UNASSIGNED))
+      if (members.error) return { success: false, error: members.error }
+      const filter = {
+        ...EMPTY_FILTER,
+        text: query,
+        labels,
+        priorities,
+        columns,
+        assignees: [...members.ids, ...(assignees.includes(UNASSIGNED) ? [UNASSIGNED] : [])],
+        createdFrom: createdFrom || '',
+        createdTo: createdTo || '',
+        due: due || '',
+      }
+      const matches = s.columns.flatMap(colId =>
+        columnCards(s.cards, colId)
+          .map((c, position) => ({ card: c, position }))
+          .filter(({ card }) => matchesFilter(card, filter, s))
+      )
+      return {
+        totalMatches: matches.length,
+        cards: matches.slice(0, limit).map(({ card: c, position }) => ({
+          id: c.id,
+          title: c.title,
+          description: c.description,
+          priority: c.priority,
+          labels: c.labels,
+          column: c.column,
+          assignees: c.assignees ?? [],
+          position,
+          startDate: c.startDate ?? null,
+          dueDate: c.dueDate ?? null,
+          createdAt: c.createdAt,
+        })),
+      }
+    }),
+  })
+
+  // Tool 16: export_board
+  useTool({
+    name: 'export_board',
+    description:
+      'Export the board as text. "json" is a versioned document with columns, column settings and cards that import_board can read back; "csv" has one row per card; "markdown" is a checklist grouped by column.',
+    inputSchema: useMemo(() => ({
+      format: z.enum(['json', 'csv', 'markdown']).default('json').describe('Export format'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ format }, { state: s }) => {
+      return { format, content: EXPORTERS[format].serialize(s) }
+    }),
+  })
+
+  // Tool 17: import_board
+  useTool({
+    name: 'import_board',
+    description:
+      'Import a board from JSON (as produced by export_board) or CSV text. The content is validated first and nothing changes if there are errors. "merge" adds new cards and columns and overwrites cards with matching IDs (from CSV, only the fields it has columns for); "replace" swaps out the whole board. Imports can be reverted with undo.',
+    inputSchema: useMemo(() => ({
+      content: z.string().min(1).describe('The JSON or CSV text to import'),
+      format: z.enum(['json', 'csv']).default('json').describe('Format of content'),
+      mode: z.enum(['merge', 'replace']).default('merge').describe('How to combine the import with the current board'),
+      dryRun: z.boolean().default(false).describe('Only validate and report what would change'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ content, format, mode, dryRun }, { state: s, dispatch }) => {
+      const { board, fields, errors } = parseImport(content, format, s)
+      if (!board) return { success: false, errors }
+      const summary = summarizeImport(s, board, mode)
+      if (!dryRun) dispatch({ type: 'IMPORT_BOARD', payload: { board, mode, fields } })
+      return { success: true, dryRun, ...summary }
+    }),
+  })
+
+  // Tool 18: list_boards
+  useTool({
+    name: 'list_boards',
+    description:
+      'List every board with its ID, name, card count and whether it is archived or currently on screen. Pass a board ID as boardId to any other tool to work on that board.',
+    handler: async () => {
+      const { boardList, activeBoardId, boards } = rootRef.current
+      return {
+        activeBoardId,
+        boards: boardList.map(b => ({
+          id: b.id,
+          name: b.name,
+          archived: b.archived,
+          active: b.id === activeBoardId,
+          cardCount: boards[b.id].present.cards.length,
+          createdAt: b.createdAt,
+        })),
+      }
+    },
+  })
+
+  // Tool 19: switch_board
+  useTool({
+    name: 'switch_board',
+    description:
+      'Show a different board on screen. Not needed just to read or edit another board; use the boardId parameter for that.',
+    inputSchema: useMemo(() => ({
+      boardId: z.string().min(1).describe('ID of the board to show'),
+    }), []),
+    handler: async ({ boardId }) => {
+      const board = rootRef.current.boardList.find(b => b.id === boardId)
+      if (!board) return { success: false, error: `Board "${boardId}" not found` }
+      if (board.archived) return { success: false, error: `Board "${board.name}" is archived` }
+      dispatch({ type: 'SWITCH_BOARD', payload: { id: boardId } })
+      return { success: true, activeBoardId: boardId, name: board.name }
+    },
+  })
+
+  // Tool 20: create_board
+  useTool({
+    name: 'create_board',
+    description:
+      'Create a new board, either empty (with the default Backlog / To Do / In Progress / Done columns) or as a copy of an existing board. Returns its ID.',
+    inputSchema: useMemo(() => ({
+      name: z.string().min(1).describe('Board name'),
+      duplicateFrom: z.string().min(1).optional().describe('ID of a board to copy columns and cards from'),
+      switchTo: z.boolean().default(false).describe('Show the new board on screen'),
+    }), []),
+    handler: async ({ name, duplicateFrom, switchTo }) => {
+      if (duplicateFrom && !rootRef.current.boards[duplicateFrom]) {
+        return { success: false, error: `Board "${duplicateFrom}" not found` }
+      }
+      const id = makeBoardId()
+      dispatch({ type: 'CREATE_BOARD', payload: { id, name, duplicateFrom, activate: switchTo } })
+      return { success: true, board: { id, name, active: switchTo } }
+    },
+  })
+
+  // Tool 21: get_activity
+  useTool({
+    name: 'get_activity',
+    description:
+      'Read the log of WebMCP tool calls made on this page, newest first: timestamp, tool, arguments, result and whether it succeeded. Filters use the same rules as the Activity panel.',
+    inputSchema: useMemo(() => ({
+      tool: z.string().optional().describe('Only calls to this tool'),
+      status: z.enum(['all', 'success', 'error']).default('all').describe('Only successful or only failed calls'),
+      query: z.string().default('').describe('Words that must all appear in the tool name, arguments, result or error'),
+      since: z.string().datetime().optional().describe('Only calls at or after this ISO timestamp'),
+      limit: z.number().int().min(1).max(ACTIVITY_LIMIT).default(20).describe('Maximum number of entries'),
+    }), []),
+    handler: async ({ tool, status, query, since, limit }) => {
+      const filter = { tool: tool ?? '', status, text: query }
+      const matching = activityRef.current.filter(entry =>
+        matchesActivity(entry, filter) && (!since || entry.at >= since)
+      )
+      return { total: matching.length, entries: matching.slice(0, limit) }
     },
   })
 
+  // Tool 22: apply_operations
+  useTool({
+    name: 'apply_operations',
+    description:
+      'Apply an ordered list of card operations (create, move, update, delete, label) as one all-or-nothing change that undoes as a single step. Every operation is validated against the board as it will be after the ones before it; if any is invalid, nothing is applied and the per-operation results say why. Give a create operation a ref to refer to the new card by that name in later operations. Use dryRun to get the resulting diff without changing the board.',
+    inputSchema: useMemo(() => {
+      const cardRef = z.string().min(1).describe('Card ID, or the ref of a card created earlier in the batch')
+      return {
+        operations: z.array(z.discriminatedUnion('op', [
+          z.object({
+            op: z.literal('create'),
+            title: z.string().min(1),
+            description: z.string().optional(),
+            priority: priorityEnum.optional(),
+            labels: z.array(z.string()).optional(),
+            column: columnEnum.optional().describe('Defaults to the first column'),
+            startDate: dateSchema.optional(),
+            dueDate: dateSchema.optional(),
+            ref: z.string().min(1).optional().describe('Name for this card in later operations'),
+          }),
+          z.object({
+            op: z.literal('move'),
+            cardId: cardRef,
+            toColumn: columnEnum,
+            beforeCardId: cardRef.optional().describe('Place the card directly above this card'),
+            position: z.number().int().min(0).optional().describe('0-based index in the target column'),
+            force: z.boolean().optional().describe('Move a blocked card forward anyway'),
+          }),
+          z.object({
+            op: z.literal('update'),
+            cardId: cardRef,
+            title: z.string().min(1).optional(),
+            description: z.string().optional(),
+            priority: priorityEnum.optional(),
+            labels: z.array(z.string()).optional().describe('Replaces all labels'),
+            startDate: dateSchema.nullable().optional().describe('null clears it'),
+            dueDate: dateSchema.nullable().optional().describe('null clears it'),
+          }),
+          z.object({ op: z.literal('delete'), cardId: cardRef }),
+          z.object({ op: z.literal('label'), cardId: cardRef, label: z.string().min(1) }),
+        ])).min(1).max(100).describe('Operations, applied in order'),
+        dryRun: z.boolean().default(false).describe('Validate and return the diff without changing the board'),
+        ...boardParam,
+      }
+    }, [columnEnum]),
+    relatedTools: ({ operations }) => [...new Set(operations.map(op => OPERATION_TOOLS[op.op]))],
+    handler: onBoard(async ({ operations, dryRun }, { state: s, dispatch }) => {
+      const refs = {}
+      const actions = []
+      const results = []
+      let working = s
+      for (const [index, op] of operations.entries()) {
+        const { action, cardId, error, warning } = planOperation(op, working, refs)
+        if (error) {
+          results.push({ index, op: op.op, success: false, error })
+          continue
+        }
+        actions.push(action)
+        working = applyBatch(working, [action])
+        results.push({ index, op: op.op, success: true, cardId, ...(warning && { warning }) })
+      }
+
+      const failed = results.filter(r => !r.success).length
+      if (failed > 0) {
+        return {
+          success: false,
+          error: `${failed} of ${operations.length} operation(s) are invalid; nothing was applied`,
+          results,
+        }
+      }
+      const diff = diffBoards(s, working)
+      if (dryRun) return { success: true, dryRun: true, results, diff }
+      dispatch({ type: 'BATCH', payload: { actions } })
+      return { success: true, results, diff }
+    }),
+  })
+
+  // Summary of a card with a due date, for the due-date tools
+  const dueCard = (c, s, due) => ({
+    id: c.id,
+    title: c.title,
+    priority: c.priority,
+    column: c.column,
+    columnTitle: s.columnMeta[c.column].title,
+    startDate: c.startDate ?? null,
+    dueDate: c.dueDate,
+    daysUntilDue: due.days,
+  })
+
+  // Tool 23: get_overdue_cards
+  useTool({
+    name: 'get_overdue_cards',
+    description:
+      "List cards whose due date has passed, most overdue first. Cards in the board's last column count as done and are never overdue. Dates are in the user's local time zone.",
+    inputSchema: boardParam,
+    handler: onBoard(async (_args, { state: s }) => {
+      const today = todayISO()
+      const cards = s.cards
+        .map(c => ({ c, due: dueStatus(c, s, today) }))
+        .filter(({ due }) => due?.status === 'overdue')
+        .sort((a, b) => a.due.days - b.due.days)
+        .map(({ c, due }) => ({ ...dueCard(c, s, due), daysOverdue: -due.days }))
+      return { today, count: cards.length, cards }
+    }),
+  })
+
+  // Tool 24: get_due_soon
+  useTool({
+    name: 'get_due_soon',
+    description:
+      "List cards due today or within the next few days, soonest first. Overdue cards are not included (see get_overdue_cards), nor are cards in the board's last column.",
+    inputSchema: useMemo(() => ({
+      days: z.number().int().min(0).max(365).default(DUE_SOON_DAYS).describe('How many days ahead to look (0 = due today only)'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ days }, { state: s }) => {
+      const today = todayISO()
+      const cards = s.cards
+        .map(c => ({ c, due: dueStatus(c, s, today, days) }))
+        .filter(({ due }) => due?.status === 'due-soon')
+        .sort((a, b) => a.due.days - b.due.days)
+        .map(({ c, due }) => dueCard(c, s, due))
+      return { today, days, count: cards.length, cards }
+    }),
+  })
+
+  // Tool 25: add_checklist_item
+  useTool({
+    name: 'add_checklist_item',
+    description:
+      "Add a step to a card's checklist, e.g. to break a card into subtasks. Returns the new item's ID.",
+    inputSchema: useMemo(() => ({
+      cardId: z.string().min(1).describe('The ID of the card'),
+      text: z.string().min(1).describe('What needs doing'),
+      position: z.number().int().min(0).optional().describe('Zero-based position in the checklist (defaults to the end)'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId, text, position }, { state: s, dispatch }) => {
+      const card = s.cards.find(c => c.id === cardId)
+      if (!card) return { success: false, error: `Card "${cardId}" not found` }
+      const item = { id: crypto.randomUUID(), text, done: false }
+      dispatch({ type: 'ADD_CHECKLIST_ITEM', payload: { cardId, item, index: position } })
+      const total = (card.checklist ?? []).length + 1
+      return { success: true, cardId, item, progress: `${(card.checklist ?? []).filter(i => i.done).length}/${total}` }
+    }),
+  })
+
+  // Tool 26: toggle_checklist_item
+  useTool({
+    name: 'toggle_checklist_item',
+    description:
+      "Check off a checklist item, or uncheck it. Without done, the item's state is flipped.",
+    inputSchema: useMemo(() => ({
+      cardId: z.string().min(1).describe('The ID of the card'),
+      itemId: z.string().min(1).describe('The ID of the checklist item'),
+      done: z.boolean().optional().describe('Set the item to done (true) or not done (false)'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId, itemId, done }, { state: s, dispatch }) => {
+      const card = s.cards.find(c => c.id === cardId)
+      if (!card) return { success: false, error: `Card "${cardId}" not found` }
+      const checklist = card.checklist ?? []
+      const item = checklist.find(i => i.id === itemId)
+      if (!item) return { success: false, error: `Checklist item "${itemId}" not found on card "${cardId}"` }
+      const next = done ?? !item.done
+      if (next !== item.done) {
+        dispatch({ type: 'UPDATE_CHECKLIST_ITEM', payload: { cardId, itemId, updates: { done: next } } })
+      }
+      const checked = checklist.filter(i => (i.id === itemId ? next : i.done)).length
+      return { success: true, cardId, itemId, done: next, progress: `${checked}/${checklist.length}` }
+    }),
+  })
+
+  // Tool 27: remove_checklist_item
+  useTool({
+    name: 'remove_checklist_item',
+    description: "Remove an item from a card's checklist.",
+    inputSchema: useMemo(() => ({
+      cardId: z.string().min(1).describe('The ID of the card'),
+      itemId: z.string().min(1).describe('The ID of the checklist item'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId, itemId }, { state: s, dispatch }) => {
+      const card = s.cards.find(c => c.id === cardId)
+      if (!card) return { success: false, error: `Card "${cardId}" not found` }
+      const item = (card.checklist ?? []).find(i => i.id === itemId)
+      if (!item) return { success: false, error: `Checklist item "${itemId}" not found on card "${cardId}"` }
+      dispatch({ type: 'REMOVE_CHECKLIST_ITEM', payload: { cardId, itemId } })
+      return { success: true, cardId, removed: item }
+    }),
+  })
+
+  // Tool 28: link_cards
+  useTool({
+    name: 'link_cards',
+    description:
+      'Link two cards. "blocks" means cardId must be finished before otherCardId can progress, "blocked-by" is the reverse, and "relates-to" is a plain cross-reference. Blocking links that would form a cycle are refused. A card with an unfinished blocker is shown as blocked, and move_card will not move it to a column further right without force.',
+    inputSchema: useMemo(() => ({
+      cardId: z.string().min(1).describe('The ID of the first card'),
+      type: z.enum(['blocks', 'blocked-by', 'relates-to']).describe('How the first card relates to the second'),
+      otherCardId: z.string().min(1).describe('The ID of the second card'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId, type, otherCardId }, { state: s, dispatch }) => {
+      for (const id of [cardId, otherCardId]) {
+        if (!s.cards.some(c => c.id === id)) return { success: false, error: `Card "${id}" not found` }
+      }
+      const [from, to] = type === 'blocked-by' ? [otherCardId, cardId] : [cardId, otherCardId]
+      const link = { id: crypto.randomUUID(), type: type === 'relates-to' ? 'relates-to' : 'blocks', from, to }
+      const problem = checkLink(s, link)
+      if (problem) return { success: false, error: problem }
+      dispatch({ type: 'LINK_CARDS', payload: { link } })
+      return { success: true, link }
+    }),
+  })
+
+  // Tool 29: unlink_cards
+  useTool({
+    name: 'unlink_cards',
+    description:
+      'Remove the link between two cards. Without type, every link between them is removed.',
+    inputSchema: useMemo(() => ({
+      cardId: z.string().min(1).describe('The ID of the first card'),
+      otherCardId: z.string().min(1).describe('The ID of the second card'),
+      type: z.enum(['blocks', 'blocked-by', 'relates-to']).optional().describe('Only remove this kind of link, from the first card\'s point of view'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId, otherCardId, type }, { state: s, dispatch }) => {
+      const links = type
+        ? [type === 'blocked-by' ? findLink(s, 'blocks', otherCardId, cardId) : findLink(s, type, cardId, otherCardId)]
+            .filter(Boolean)
+        : boardLinks(s).filter(l =>
+            (l.from === cardId && l.to === otherCardId) || (l.from === otherCardId && l.to === cardId)
+          )
+      if (links.length === 0) return { success: false, error: 'These cards are not linked' }
+      const actions = links.map(link => ({ type: 'UNLINK_CARDS', payload: { linkId: link.id } }))
+      const title = (id) => `"${s.cards.find(c => c.id === id)?.title ?? id}"`
+      dispatch(actions.length === 1 ? actions[0] : {
+        type: 'BATCH',
+        payload: { actions, label: `Unlink ${title(cardId)} and ${title(otherCardId)}` },
+      })
+      return { success: true, removed: links }
+    }),
+  })
+
+  // Tool 30: get_dependency_graph
+  useTool({
+    name: 'get_dependency_graph',
+    description:
+      "Get the board's card links as a graph: every linked card (with its column and whether it is blocked) and every link. Blocking links point from the blocker to the card it blocks. Pass cardId to get only the cards connected to that card. Cards in the board's last column count as done.",
+    inputSchema: useMemo(() => ({
+      cardId: z.string().min(1).optional().describe('Only include cards connected to this card, directly or indirectly'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId }, { state: s }) => {
+      let links = boardLinks(s)
+      if (cardId) {
+        if (!s.cards.some(c => c.id === cardId)) return { success: false, error: `Card "${cardId}" not found` }
+        const connected = new Set([cardId])
+        let grew = true
+        while (grew) {
+          grew = false
+          for (const l of links) {
+            if (connected.has(l.from) !== connected.has(l.to)) {
+              connected.add(l.from)
+              connected.add(l.to)
+              grew = true
+            }
+          }
+        }
+        links = links.filter(l => connected.has(l.from))
+      }
+      const ids = new Set(links.flatMap(l => [l.from, l.to]))
+      if (cardId) ids.add(cardId)
+      const nodes = s.cards.filter(c => ids.has(c.id)).map(c => {
+        const blockers = openBlockers(s, c.id)
+        return {
+          id: c.id,
+          title: c.title,
+          column: c.column,
+          done: c.column === s.columns[s.columns.length - 1],
+          blocked: blockers.length > 0,
+          blockedBy: blockers.map(b => b.id),
+        }
+      })
+      return {
+        nodes,
+        links: links.map(({ id, type, from, to }) => ({ id, type, from, to })),
+        blockedCount: nodes.filter(n => n.blocked).length,
+      }
+    }),
+  })
+
+  // Tool 31: get_flow_metrics
+  useTool({
+    name: 'get_flow_metrics',
+    description:
+      "Get flow metrics for cards finished in a period (by default the last 30 days): lead time (created to finished) and cycle time (started to finished) as average/median/min/max days, throughput per Monday-to-Sunday week, average days per visit to each column, and a daily cumulative flow series of card counts per column. A card is finished when it reaches the board's last column. Dates are the user's local YYYY-MM-DD, inclusive; e.g. for this month pass from as the 1st.",
+    inputSchema: useMemo(() => ({
+      from: dateSchema.optional().describe('First day of the period (defaults to 29 days before to)'),
+      to: dateSchema.optional().describe('Last day of the period (defaults to today)'),
+      startColumn: columnEnum.optional().describe('Column where cycle time starts (defaults to the in-progress column)'),
+      includeCumulativeFlow: z.boolean().default(false).describe('Include the day-by-day cumulative flow series'),
+      ...boardParam,
+    }), [columnEnum]),
+    handler: onBoard(async ({ from, to, startColumn, includeCumulativeFlow }, { state: s }) => {
+      const end = to || todayISO()
+      if (from && from > end) return { success: false, error: 'from cannot be after to' }
+      if (from && daysBetween(from, end) > 366) return { success: false, error: 'The period can be at most a year' }
+      const { cumulativeFlow, ...metrics } = computeFlowMetrics(s, { from, to: end, startColumn })
+      return { ...metrics, ...(includeCumulativeFlow && { cumulativeFlow }) }
+    }),
+  })
+
+  // Tool 32: remove_label
+  useTool({
+    name: 'remove_label',
+    description: 'Remove a label from one card. To remove a label from every card, use merge_labels or the label manager.',
+    inputSchema: useMemo(() => ({
+      cardId: z.string().min(1).describe('The ID of the card'),
+      label: z.string().min(1).describe('The label to remove'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId, label }, { state: s, dispatch }) => {
+      const card = s.cards.find(c => c.id === cardId)
+      if (!card) return { success: false, error: `Card "${cardId}" not found` }
+      if (!card.labels.includes(label)) return { success: false, error: `Card "${cardId}" has no label "${label}"` }
+      dispatch({ type: 'REMOVE_LABEL', payload: { cardId, label } })
+      return { success: true, cardId, label, labels: card.labels.filter(l => l !== label) }
+    }),
+  })
+
+  // Tool 33: list_labels
+  useTool({
+    name: 'list_labels',
+    description:
+      "List the board's labels with their color, description and how many cards carry each. Includes labels defined in the label manager but not used yet (registered: true) and labels only used on cards.",
+    inputSchema: boardParam,
+    handler: onBoard(async (_args, { state: s }) => {
+      const labels = boardLabels(s)
+      return { count: labels.length, labels }
+    }),
+  })
+
+  // Tool 34: rename_label
+  useTool({
+    name: 'rename_label',
+    description:
+      'Rename a label on every card that has it, keeping its color and description. Fails if the new name is already a label; use merge_labels to combine two labels.',
+    inputSchema: useMemo(() => ({
+      label: z.string().min(1).describe('Current label name'),
+      newName: z.string().min(1).describe('New label name'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ label, newName }, { state: s, dispatch }) => {
+      const labels = boardLabels(s)
+      const existing = labels.find(l => l.name === label)
+      if (!existing) return { success: false, error: `Label "${label}" not found` }
+      if (newName === label) return { success: false, error: 'The new name is the same as the current one' }
+      if (labels.some(l => l.name === newName)) {
+        return { success: false, error: `Label "${newName}" already exists; use merge_labels to combine them` }
+      }
+      dispatch({ type: 'RENAME_LABEL', payload: { from: label, to: newName } })
+      return { success: true, from: label, to: newName, cardsUpdated: existing.cardCount }
+    }),
+  })
+
+  // Tool 35: merge_labels
+  useTool({
+    name: 'merge_labels',
+    description:
+      'Merge one or more labels into another: every card with any of labels gets into instead, and the merged labels disappear. into keeps its own color and description, or takes those of the first merged label if it has none. into may be a new name.',
+    inputSchema: useMemo(() => ({
+      labels: z.array(z.string().min(1)).min(1).describe('Labels to merge away'),
+      into: z.string().min(1).describe('Label that replaces them'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ labels, into }, { state: s, dispatch }) => {
+      const known = new Set(boardLabels(s).map(l => l.name))
+      const missing = labels.find(l => !known.has(l))
+      if (missing) return { success: false, error: `Label "${missing}" not found` }
+      const sources = labels.filter(l => l !== into)
+      if (sources.length === 0) return { success: false, error: 'Nothing to merge; labels only contains into' }
+      dispatch({ type: 'MERGE_LABELS', payload: { labels: sources, into } })
+      const cardsUpdated = s.cards.filter(c => c.labels.some(l => sources.includes(l))).length
+      return { success: true, merged: sources, into, cardsUpdated }
+    }),
+  })
+
+  // Tool 36: assign_card
+  useTool({
+    name: 'assign_card',
+    description:
+      "Assign board members to a card or unassign them, by member ID or name (see get_workload for the members). \"add\" keeps the card's other assignees, \"remove\" unassigns the given members and \"replace\" makes them the only assignees.",
+    inputSchema: useMemo(() => ({
+      cardId: z.string().min(1).describe('The ID of the card'),
+      members: z.array(z.string().min(1)).describe('Member IDs or names'),
+      mode: z.enum(['add', 'remove', 'replace']).default('add').describe('How to combine members with the current assignees'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId, members, mode }, { state: s, dispatch }) => {
+      const card = s.cards.find(c => c.id === cardId)
+      if (!card) return { success: false, error: `Card "${cardId}" not found` }
+      const resolved = resolveMembers(s, members)
+      if (resolved.error) return { success: false, error: resolved.error, unknownMembers: resolved.unknown }
+      const current = card.assignees ?? []
+      const assignees =
+        mode === 'replace' ? resolved.ids
+          : mode === 'remove' ? current.filter(id => !resolved.ids.includes(id))
+            : [...current, ...resolved.ids.filter(id => !current.includes(id))]
+      if (assignees.join('\n') !== current.join('\n')) {
+        dispatch({ type: 'UPDATE_CARD', payload: { cardId, updates: { assignees } } })
+      }
+      // A card can still hold the ID of a member who has since been removed
+      const names = assignees.flatMap(id => (s.members ?? []).find(m => m.id === id)?.name ?? [])
+      return { success: true, cardId, assignees, assigneeNames: names }
+    }),
+  })
+
+  // Tool 37: get_workload
+  useTool({
+    name: 'get_workload',
+    description:
+      "List the board's members with their open cards (those not in the board's last column), counted per column, plus the open cards nobody is assigned to. A card with several assignees counts for each of them.",
+    inputSchema: useMemo(() => ({
+      includeCards: z.boolean().default(true).describe('List each open card, not only the counts'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ includeCards }, { state: s }) => {
+      const open = s.cards.filter(c => c.column !== s.columns[s.columns.length - 1])
+      const workload = (cards) => ({
+        openCards: cards.length,
+        byColumn: Object.fromEntries(
+          s.columns.slice(0, -1).map(id => [id, cards.filter(c => c.column === id).length])
+        ),
+        ...(includeCards && {
+          cards: cards.map(c => ({ id: c.id, title: c.title, priority: c.priority, column: c.column, dueDate: c.dueDate ?? null })),
+        }),
+      })
+      return {
+        members: (s.members ?? []).map(m => ({
+          id: m.id,
+          name: m.name,
+          initials: m.initials,
+          ...workload(open.filter(c => c.assignees?.includes(m.id))),
+        })),
+        unassigned: workload(open.filter(c => !c.assignees?.length)),
+      }
+    }),
+  })
+
+  // Tool 38: archive_card
+  useTool({
+    name: 'archive_card',
+    description:
+      'Archive a card. It leaves the board and get_board but is kept, with its links, and can be found with list_archived and brought back with restore_card.',
+    inputSchema: useMemo(() => ({
+      cardId: z.string().min(1).describe('The ID of the card to archive'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId }, { state: s, dispatch }) => {
+      const card = s.cards.find(c => c.id === cardId)
+      if (!card) return { success: false, error: `Card "${cardId}" not found` }
+      dispatch({ type: 'ARCHIVE_CARDS', payload: { cardIds: [cardId] } })
+      return { success: true, archivedCard: { id: card.id, title: card.title, column: card.column } }
+    }),
+  })
+
+  // Tool 39: restore_card
+  useTool({
+    name: 'restore_card',
+    description:
+      'Bring an archived card back onto the board, at the bottom of the column it was archived from (or the first column if that column is gone), or of another column.',
+    inputSchema: useMemo(() => ({
+      cardId: z.string().min(1).describe('The ID of the archived card'),
+      column: columnEnum.optional().describe('Column to restore the card to'),
+      ...boardParam,
+    }), [columnEnum]),
+    handler: onBoard(async ({ cardId, column }, { state: s, dispatch }) => {
+      const card = s.archived?.find(c => c.id === cardId)
+      if (!card) {
+        const active = s.cards.some(c => c.id === cardId)
+        return { success: false, error: active ? `Card "${cardId}" is not archived` : `Archived card "${cardId}" not found` }
+      }
+      const target = column || (s.columns.includes(card.column) ? card.column : s.columns[0])
+      const wip = checkWipLimit(s, target)
+      if (wip.blocked) return { success: false, error: `Column "${target}" is at its WIP limit (${wip.limit})` }
+      dispatch({ type: 'RESTORE_CARD', payload: { cardId, column: target } })
+      return {
+        success: true,
+        restoredCard: { id: card.id, title: card.title, column: target },
+        ...(wip.exceeded && { warning: wipWarning(wip, s.columnMeta[target].title) }),
+      }
+    }),
+  })
+
+  // Tool 40: list_archived
+  useTool({
+    name: 'list_archived',
+    description:
+      'List archived cards, most recently archived first, optionally only those whose title or description contains every word of a query.',
+    inputSchema: useMemo(() => ({
+      query: z.string().optional().describe('Words to search for'),
+      limit: z.number().int().min(1).max(200).default(50).describe('Maximum number of cards to return'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ query, limit }, { state: s }) => {
+      const matches = searchArchived(s, query)
+      return {
+        total: matches.length,
+        autoArchiveDays: s.autoArchiveDays ?? null,
+        cards: matches.slice(0, limit).map(c => ({
+          id: c.id,
+          title: c.title,
+          description: c.description,
+          priority: c.priority,
+          labels: c.labels,
+          column: c.column,
+          createdAt: c.createdAt,
+          archivedAt: c.archivedAt,
+        })),
+      }
+    }),
+  })
+
+  // Tool 41: add_comment
+  useTool({
+    name: 'add_comment',
+    description:
+      "Add a comment to a card's discussion thread, shown to the user as written by an agent. Use it to explain a change, such as why a card was moved or reprioritized, instead of rewriting the description.",
+    inputSchema: useMemo(() => ({
+      cardId: z.string().min(1).describe('The ID of the card'),
+      text: z.string().trim().min(1).max(5000).describe('The comment text'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId, text }, { state: s, dispatch }) => {
+      const card = s.cards.find(c => c.id === cardId)
+      if (!card) return { success: false, error: `Card "${cardId}" not found` }
+      const comment = { id: makeCommentId(), text, createdAt: new Date().toISOString() }
+      dispatch({ type: 'ADD_COMMENT', payload: { cardId, comment } })
+      return { success: true, cardId, comment: { ...comment, author: 'agent' }, commentCount: (card.comments?.length ?? 0) + 1 }
+    }),
+  })
+
+  // Tool 42: list_comments
+  useTool({
+    name: 'list_comments',
+    description:
+      "List a card's comments, oldest first, each with its author type (human or agent) and timestamps. Works for archived cards too.",
+    inputSchema: useMemo(() => ({
+      cardId: z.string().min(1).describe('The ID of the card'),
+      author: z.enum(['human', 'agent']).optional().describe('Only comments by this author type'),
+      limit: z.number().int().min(1).max(200).default(50).describe('Return at most this many of the most recent comments'),
+      ...boardParam,
+    }), []),
+    handler: onBoard(async ({ cardId, author, limit }, { state: s }) => {
+      const card = s.cards.find(c => c.id === cardId) ?? s.archived?.find(c => c.id === cardId)
+      if (!card) return { success: false, error: `Card "${cardId}" not found` }
+      const comments = (card.comments ?? []).filter(c => !author || c.author === author)
+      return {
+        cardId,
+        title: card.title,
+        archived: !!card.archivedAt,
+        total: comments.length,
+        comments: comments.slice(-limit).map(c => ({
+          id: c.id,
+          author: c.author,
+          text: c.text,
+          createdAt: c.createdAt,
+          editedAt: c.editedAt ?? null,
+        })),
+      }
+    }),
+  })
+
+  // Tool 43: list_templates
+  useTool({
+    name: 'list_templates',
+    description:
+      "List the board's card templates with their title pattern, description, priority, labels, column and, for recurring templates, the schedule and next date. Use create_card_from_template to make a card from one.",
+    inputSchema: boardParam,
+    handler: onBoard(async (_args, { state: s }) => ({
+      templates: (s.templates ?? []).map(t => ({
+        id: t.id,
+        name: t.name,
+        title: t.title,
+        description: t.description,
+        priority: t.priority,
+        labels: t.labels,
+        column: t.column ?? s.columns[0],
+        recurrence: t.recurrence,
+      })),
+    })),
+  })
+
+  // Tool 44: create_card_from_template
+  useTool({
+    name: 'create_card_from_template',
+    description:
+      "Create a card from one of the board's templates (see list_templates), by template ID or name. In the title pattern, {title} is replaced by the given title, {date} by today, {week} by the Monday of this week and {month} by the year and month; a pattern without {title} uses the given title, if any, as the whole title.",
+    inputSchema: useMemo(() => ({
+      template: z.string().min(1).describe('Template ID or name'),
+      title: z.string().optional().describe('Text for the {title} placeholder'),
+      column: columnEnum.optional().describe("Column to place the card in (defaults to the template's column)"),
+      ...boardParam,
+    }), [columnEnum]),
+    handler: onBoard(async ({ template: ref, title, column }, { state: s, dispatch }) => {
+      const template = findTemplate(s, ref)
+      if (!template) return { success: false, error: `Template "${ref}" not found` }
+      const card = cardFromTemplate(s, template, { title, column })
+      const wip = checkWipLimit(s, card.column)
+      if (wip.blocked) return { success: false, error: `Column "${card.column}" is at its WIP limit (${wip.limit})` }
+      dispatch({ type: 'ADD_CARD', payload: card })
+      return {
+        success: true,
+        template: { id: template.id, name: template.name },
+        card,
+        ...(wip.exceeded && { warning: wipWarning(wip, s.columnMeta[card.column].title) }),
+      }
+    }),
+  })
+
   return null
 }
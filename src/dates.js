@@ -0,0 +1,35 @@
+// Start and due dates are calendar dates (YYYY-MM-DD) in the user's local
+// time zone, with no time of day.
+
+export const DUE_SOON_DAYS = 3
+
+export function todayISO(now = new Date()) {
+  const pad = n => String(n).padStart(2, '0')
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
+}
+
+// Whole days from one date to another; negative if `to` is earlier.
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000)
+}
+
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`)
+  d.setUTCDate(d.getUTCDate() + days)
+  return d.toISOString().slice(0, 10)
+}
+
+export function formatDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' })
+}
+
+// `{ status, days }` for a card with a due date, where status is 'overdue',
+// 'due-soon' (due within `soonDays`, today included) or 'scheduled' and
+// `days` is the number of days until it is due. Cards in the last column
+// count as done, as in the Markdown export, and have no due status.
+export function dueStatus(card, state, today = todayISO(), soonDays = DUE_SOON_DAYS) {
+  if (!card.dueDate || card.column === state.columns[state.columns.length - 1]) return null
+  const days = daysBetween(today, card.dueDate)
+  const status = days < 0 ? 'overdue' : days <= soonDays ? 'due-soon' : 'scheduled'
+  return { status, days }
+}
@@ -0,0 +1,220 @@
+import { boardSchema, cardSchema, formatIssues, PRIORITIES } from './schema.js'
+import { columnCards, makeColumnId, COLUMN_COLORS } from './store.jsx'
+
+export const EXPORT_FORMAT = 'webmcp-kanban'
+export const EXPORT_VERSION = 1
+
+const CSV_COLUMNS = ['id', 'title', 'description', 'priority', 'labels', 'column', 'columnTitle', 'position', 'startDate', 'dueDate', 'createdAt']
+
+// Card fields a CSV import may change on an existing card. Anything else a
+// card holds (checklist, comments, assignees, history...) has no column, so
+// merging keeps it as it is.
+const CSV_CARD_FIELDS = ['title', 'description', 'priority', 'labels', 'startDate', 'dueDate']
+
+// --- Export -----------------------------------------------------------------
+
+export function exportJSON(state) {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), board: state },
+    null,
+    2
+  )
+}
+
+function csvField(value) {
+  const text = String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Labels are joined with ";" so each card stays on one spreadsheet row.
+export function exportCSV(state) {
+  const rows = state.columns.flatMap(colId =>
+    columnCards(state.cards, colId).map((c, position) => [
+      c.id,
+      c.title,
+      c.description,
+      c.priority,
+      c.labels.join(';'),
+      c.column,
+      state.columnMeta[colId].title,
+      position,
+      c.startDate ?? '',
+      c.dueDate ?? '',
+      c.createdAt,
+    ])
+  )
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n'
+}
+
+// Cards in the last column are checked off, on the assumption that it is
+// the board's "done" column.
+export function exportMarkdown(state) {
+  const lastColumn = state.columns[state.columns.length - 1]
+  const sections = state.columns.map(colId => {
+    const cards = columnCards(state.cards, colId)
+    const lines = cards.map(c => {
+      const labels = c.labels.map(l => ` \`${l}\``).join('')
+      const due = c.dueDate ? ` (due ${c.dueDate})` : ''
+      const steps = (c.checklist ?? []).map(i => `\n  - [${i.done ? 'x' : ' '}] ${i.text}`).join('')
+      return `- [${colId === lastColumn ? 'x' : ' '}] ${c.title} _(${c.priority})_${due}${labels}${steps}`
+    })
+    return [`## ${state.columnMeta[colId].title}`, '', ...(lines.length > 0 ? lines : ['_No cards_'])].join('\n')
+  })
+  return ['# Kanban Board', '', ...sections.flatMap(section => [section, ''])].join('\n')
+}
+
+export const EXPORTERS = {
+  json: { serialize: exportJSON, mimeType: 'application/json', extension: 'json' },
+  csv: { serialize: exportCSV, mimeType: 'text/csv', extension: 'csv' },
+  markdown: { serialize: exportMarkdown, mimeType: 'text/markdown', extension: 'md' },
+}
+
+// --- Import -----------------------------------------------------------------
+
+// RFC 4180 parser: quoted fields may contain commas, quotes ("") and newlines.
+export function parseCSV(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        field += ch
+      }
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(field)
+      field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += ch
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''))
+}
+
+function parseJSONDocument(text) {
+  let doc
+  try {
+    doc = JSON.parse(text)
+  } catch (err) {
+    return { errors: [`Not valid JSON: ${err.message}`] }
+  }
+  if (doc?.format !== EXPORT_FORMAT) {
+    return { errors: [`Not a ${EXPORT_FORMAT} export (missing or wrong "format" field)`] }
+  }
+  if (!Number.isInteger(doc.version) || doc.version > EXPORT_VERSION) {
+    return { errors: [`Unsupported export version ${doc.version}; this app reads version ${EXPORT_VERSION} and older`] }
+  }
+  const result = boardSchema.safeParse(doc.board)
+  if (!result.success) return { errors: formatIssues(result.error).map(e => `board.${e}`) }
+  return { board: result.data, errors: [] }
+}
+
+// CSV rows become cards. Columns are matched by ID, then by title; unknown
+// ones are created so nothing in the file is lost. `fields` lists the card
+// fields the file has columns for, which are all a merge overwrites.
+function parseCSVDocument(text, state) {
+  const [header, ...rows] = parseCSV(text)
+  if (!header) return { errors: ['The CSV file is empty'] }
+  const index = Object.fromEntries(header.map((name, i) => [name.trim(), i]))
+  if (index.title === undefined) return { errors: ['The CSV header must include a "title" column'] }
+
+  const board = { columns: [...state.columns], columnMeta: { ...state.columnMeta }, cards: [] }
+  const fields = [
+    ...CSV_CARD_FIELDS.filter(f => index[f] !== undefined),
+    ...(index.column !== undefined || index.columnTitle !== undefined ? ['column'] : []),
+  ]
+  const errors = []
+  const get = (row, name) => (index[name] === undefined ? '' : (row[index[name]] ?? '').trim())
+
+  rows.forEach((row, i) => {
+    const line = i + 2
+    const columnRef = get(row, 'column') || get(row, 'columnTitle')
+    let column = board.columns.find(id => id === columnRef) ??
+      board.columns.find(id => board.columnMeta[id].title.toLowerCase() === columnRef.toLowerCase())
+    if (!column && columnRef) {
+      const title = get(row, 'columnTitle') || columnRef
+      column = makeColumnId(board, title)
+      board.columns.push(column)
+      board.columnMeta[column] = {
+        title,
+        color: COLUMN_COLORS[board.columns.length % COLUMN_COLORS.length],
+        wipLimit: null,
+        enforceWipLimit: false,
+      }
+    }
+    const priority = get(row, 'priority').toLowerCase() || 'medium'
+    if (!PRIORITIES.includes(priority)) {
+      errors.push(`Row ${line}: unknown priority "${priority}"`)
+      return
+    }
+    const result = cardSchema.safeParse({
+      id: get(row, 'id') || crypto.randomUUID(),
+      title: get(row, 'title'),
+      description: index.description === undefined ? '' : row[index.description] ?? '',
+      priority,
+      labels: get(row, 'labels').split(';').map(l => l.trim()).filter(Boolean),
+      column: column ?? state.columns[0],
+      ...(get(row, 'startDate') && { startDate: get(row, 'startDate') }),
+      ...(get(row, 'dueDate') && { dueDate: get(row, 'dueDate') }),
+      ...(get(row, 'createdAt') && { createdAt: get(row, 'createdAt') }),
+    })
+    if (!result.success) {
+      errors.push(...formatIssues(result.error).map(e => `Row ${line}: ${e}`))
+      return
+    }
+    board.cards.push(result.data)
+  })
+
+  const duplicates = board.cards.filter((c, i) => board.cards.findIndex(o => o.id === c.id) !== i)
+  duplicates.forEach(c => errors.push(`Duplicate card ID "${c.id}"`))
+  return errors.length > 0 ? { errors } : { board, fields, errors }
+}
+
+// Returns { board, fields, errors }. `board` is only present when the file is
+// valid; `fields` only for CSV, and is passed on to IMPORT_BOARD.
+export function parseImport(text, format, state) {
+  return format === 'csv' ? parseCSVDocument(text, state) : parseJSONDocument(text)
+}
+
+export function detectFormat(fileName) {
+  return /\.csv$/i.test(fileName) ? 'csv' : 'json'
+}
+
+// What IMPORT_BOARD will do, for confirmation dialogs and tool results.
+export function summarizeImport(state, board, mode) {
+  if (mode === 'replace') {
+    return {
+      mode,
+      columns: board.columns.length,
+      cards: board.cards.length,
+      cardsRemoved: state.cards.length,
+    }
+  }
+  const existingIds = new Set(state.cards.map(c => c.id))
+  const updated = board.cards.filter(c => existingIds.has(c.id)).length
+  return {
+    mode,
+    columnsAdded: board.columns.filter(id => !state.columns.includes(id)).length,
+    cardsAdded: board.cards.length - updated,
+    cardsUpdated: updated,
+  }
+}
@@ -0,0 +1,78 @@
+import { createContext, useContext, useState } from 'react'
+import { dueStatus } from './dates.js'
+
+export const UNASSIGNED = 'unassigned'
+
+export const EMPTY_FILTER = {
+  text: '',
+  labels: [],
+  priorities: [],
+  columns: [],
+  // Member IDs, or UNASSIGNED for cards with no assignee
+  assignees: [],
+  createdFrom: '',
+  createdTo: '',
+  // '', 'overdue' or 'due-soon'
+  due: '',
+}
+
+export function isFilterActive(filter) {
+  return (
+    filter.text.trim() !== '' ||
+    filter.labels.length > 0 ||
+    filter.priorities.length > 0 ||
+    filter.columns.length > 0 ||
+    filter.assignees.length > 0 ||
+    !!filter.createdFrom ||
+    !!filter.createdTo ||
+    !!filter.due
+  )
+}
+
+// Shared by the filter bar and the search_cards tool so both agree on what
+// matches. Every word of `text` must appear in the title or description
+// (case-insensitive). Within labels, priorities, columns and assignees a
+// card needs any one of the selected values; the facets themselves are
+// ANDed together.
+// Dates are YYYY-MM-DD, inclusive, compared against the UTC creation date.
+// `due` needs the board `state`, to know which column counts as done.
+export function matchesFilter(card, filter, state) {
+  const words = filter.text.toLowerCase().split(/\s+/).filter(Boolean)
+  if (words.length > 0) {
+    const haystack = `${card.title}\n${card.description}`.toLowerCase()
+    if (!words.every(word => haystack.includes(word))) return false
+  }
+  if (filter.labels.length > 0 && !filter.labels.some(l => card.labels.includes(l))) return false
+  if (filter.priorities.length > 0 && !filter.priorities.includes(card.priority)) return false
+  if (filter.columns.length > 0 && !filter.columns.includes(card.column)) return false
+  if (filter.assignees.length > 0) {
+    const assignees = card.assignees ?? []
+    const matches = filter.assignees.some(id => (id === UNASSIGNED ? assignees.length === 0 : assignees.includes(id)))
+    if (!matches) return false
+  }
+  const created = card.createdAt.slice(0, 10)
+  if (filter.createdFrom && created < filter.createdFrom) return false
+  if (filter.createdTo && created > filter.createdTo) return false
+  if (filter.due && dueStatus(card, state)?.status !== filter.due) return false
+  return true
+}
+
+const FilterContext = createContext(null)
+
+export function FilterProvider({ children }) {
+  const [filter, setFilter] = useState(EMPTY_FILTER)
+  // 'dim' keeps non-matching cards in place but faded; 'hide' removes them
+  const [mode, setMode] = useState('dim')
+  // Swimlane grouping, a key of GROUPINGS in swimlanes.js, or '' for none
+  const [groupBy, setGroupBy] = useState('')
+
+  return (
+    <FilterContext.Provider value={{ filter, setFilter, mode, setMode, groupBy, setGroupBy }}>
+      {children}
+    </FilterContext.Provider>
+  )
+}
+
+export function useFilter() {
+  return useContext(FilterContext)
+}
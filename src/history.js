@@ -0,0 +1,61 @@
+export const HISTORY_LIMIT = 50
+
+export function createHistory(present, saved) {
+  return {
+    past: Array.isArray(saved?.past) ? saved.past.slice(-HISTORY_LIMIT) : [],
+    present,
+    future: Array.isArray(saved?.future) ? saved.future.slice(0, HISTORY_LIMIT) : [],
+  }
+}
+
+// Wraps a reducer so every state change is recorded as a snapshot entry.
+// Entries in `past` hold the state before the change; entries in `future`
+// hold the state after it, so UNDO and REDO just swap snapshots around.
+// `action.meta.source` ('user' or 'agent') is kept on the entry, and
+// `action.meta.at`, stamped when the action was dispatched, as its time.
+export function undoable(reducer, { describe = action => action.type, limit = HISTORY_LIMIT } = {}) {
+  return function historyReducer(history, action) {
+    switch (action.type) {
+      case 'UNDO': {
+        const entry = history.past[history.past.length - 1]
+        if (!entry) return history
+        return {
+          past: history.past.slice(0, -1),
+          present: entry.state,
+          future: [{ ...entry, state: history.present }, ...history.future],
+        }
+      }
+
+      case 'REDO': {
+        const entry = history.future[0]
+        if (!entry) return history
+        return {
+          past: [...history.past, { ...entry, state: history.present }].slice(-limit),
+          present: entry.state,
+          future: history.future.slice(1),
+        }
+      }
+
+      default: {
+        const present = reducer(history.present, action)
+        if (present === history.present) return history
+        const entry = {
+          action: action.type,
+          label: describe(action, history.present),
+          source: action.meta?.source ?? 'user',
+          at: action.meta?.at,
+          state: history.present,
+        }
+        return {
+          past: [...history.past, entry].slice(-limit),
+          present,
+          future: [],
+        }
+      }
+    }
+  }
+}
+
+export function summarizeEntry({ action, label, source, at }) {
+  return { action, label, source, at }
+}
@@ -0,0 +1,41 @@
+// Cards store label names; the board's `labelMeta` maps a name to its
+// `{ color, description }`. A label used on a card but never given settings
+// still exists, with a color picked from its name, so old boards and
+// labels typed straight onto a card need no registry entry.
+
+export const LABEL_COLORS = [
+  '#8B5CF6', '#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#EC4899', '#14B8A6', '#6366F1', '#84CC16', '#6B7280',
+]
+
+export function defaultLabelColor(name) {
+  let hash = 0
+  for (const ch of name) hash = (hash * 31 + ch.codePointAt(0)) >>> 0
+  return LABEL_COLORS[hash % LABEL_COLORS.length]
+}
+
+export function labelInfo(state, name) {
+  const meta = state.labelMeta?.[name]
+  return {
+    name,
+    color: meta?.color ?? defaultLabelColor(name),
+    description: meta?.description ?? '',
+  }
+}
+
+// Every label on the board, registered or in use, sorted by name, with the
+// number of cards carrying it.
+export function boardLabels(state) {
+  const counts = {}
+  for (const card of state.cards) {
+    for (const label of card.labels) counts[label] = (counts[label] ?? 0) + 1
+  }
+  const names = new Set([...Object.keys(state.labelMeta ?? {}), ...Object.keys(counts)])
+  return [...names]
+    .sort((a, b) => a.localeCompare(b))
+    .map(name => ({ ...labelInfo(state, name), cardCount: counts[name] ?? 0, registered: !!state.labelMeta?.[name] }))
+}
+
+// Inline styles for a label chip: the label color as text on a light tint
+export function labelStyle(color) {
+  return { color, backgroundColor: `${color}1f` }
+}
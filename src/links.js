@@ -0,0 +1,80 @@
+// Card links are stored on the board as `{ id, type, from, to }`. A 'blocks'
+// link means `from` blocks `to` (so `to` is blocked by `from`); 'relates-to'
+// has no direction. Blocking links may not form a cycle.
+
+export const LINK_TYPES = ['blocks', 'relates-to']
+
+// Boards saved before links existed have none. Links to cards that no longer
+// exist are ignored rather than treated as damage.
+export function boardLinks(state) {
+  const ids = new Set(state.cards.map(c => c.id))
+  return (state.links ?? []).filter(l => ids.has(l.from) && ids.has(l.to))
+}
+
+function isDone(state, card) {
+  return card.column === state.columns[state.columns.length - 1]
+}
+
+// Cards that block `cardId` and are not yet done (in the board's last
+// column, as for due dates).
+export function openBlockers(state, cardId) {
+  const blockers = new Set(boardLinks(state).filter(l => l.type === 'blocks' && l.to === cardId).map(l => l.from))
+  return state.cards.filter(c => blockers.has(c.id) && !isDone(state, c))
+}
+
+// Whether a 'blocks' link from `from` to `to` would close a loop, i.e.
+// `to` already blocks `from`, directly or through other cards.
+export function wouldCreateCycle(state, from, to) {
+  if (from === to) return true
+  const next = new Map()
+  for (const l of boardLinks(state)) {
+    if (l.type === 'blocks') next.set(l.from, [...(next.get(l.from) ?? []), l.to])
+  }
+  const seen = new Set()
+  const stack = [to]
+  while (stack.length > 0) {
+    const id = stack.pop()
+    if (id === from) return true
+    if (seen.has(id)) continue
+    seen.add(id)
+    stack.push(...(next.get(id) ?? []))
+  }
+  return false
+}
+
+// The existing link between two cards of the given type, in either
+// direction for 'relates-to'.
+export function findLink(state, type, from, to) {
+  return boardLinks(state).find(l =>
+    l.type === type &&
+    ((l.from === from && l.to === to) || (type === 'relates-to' && l.from === to && l.to === from))
+  )
+}
+
+// Why a link cannot be added, or null if it can.
+export function checkLink(state, { type, from, to }) {
+  if (from === to) return 'A card cannot be linked to itself'
+  if (findLink(state, type, from, to)) return 'These cards are already linked'
+  if (type === 'blocks' && wouldCreateCycle(state, from, to)) {
+    return 'This would create a dependency cycle'
+  }
+  return null
+}
+
+// Moving a card further right is moving it toward in progress and done;
+// a blocked card should not go there until its blockers are finished.
+export function isForwardMove(state, card, toColumn) {
+  return state.columns.indexOf(toColumn) > state.columns.indexOf(card.column)
+}
+
+// Every link touching `cardId`, from that card's point of view:
+// 'blocks', 'blocked-by' or 'relates-to', plus the other card's ID.
+export function cardLinks(state, cardId) {
+  return boardLinks(state)
+    .filter(l => l.from === cardId || l.to === cardId)
+    .map(l => {
+      const outgoing = l.from === cardId
+      const relation = l.type === 'relates-to' ? 'relates-to' : outgoing ? 'blocks' : 'blocked-by'
+      return { id: l.id, relation, cardId: outgoing ? l.to : l.from }
+    })
+}
@@ -0,0 +1,235 @@
+// A small Markdown parser for card descriptions. It returns a tree that
+// Markdown.jsx turns into React elements, never an HTML string, so raw HTML
+// in a description shows up as text and nothing in it can run. Links are
+// kept only for http(s) and mailto URLs, and images become links, so
+// rendering never fetches anything.
+//
+// Supported: headings, paragraphs, fenced code, block quotes, rules, nested
+// bulleted and numbered lists with task items (`- [ ]` / `- [x]`), and
+// inline code, bold, italic, strikethrough and links. A single newline is a
+// line break, as in GitHub comments.
+//
+// Blocks:
+//   { type: 'heading', level, content }   { type: 'paragraph', content }
+//   { type: 'code', lang, text }          { type: 'quote', children }
+//   { type: 'rule' }
+//   { type: 'list', ordered, start, items: [{ content, task, children }] }
+// where `content` is a list of inline nodes and `task` is null or
+// `{ checked, line }`, `line` being the source line to pass to toggleTask.
+// Inline nodes: text, code, strong, em, del, link ({ href, children }), br.
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/
+const QUOTE = /^ {0,3}> ?(.*)$/
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/
+const TASK = /^\[([ xX])\](?:[ \t]+(.*))?$/
+// A task marker at the start of a line, after any quote and list markers
+const TASK_LINE = /^((?: {0,3}> ?)*\s*(?:[-*+]|\d{1,9}[.)])[ \t]+)\[([ xX])\]/
+
+const isBlank = line => line.text.trim() === ''
+const indentOf = text => text.match(/^ */)[0].length
+
+function startsBlock(text) {
+  return FENCE.test(text) || HEADING.test(text) || RULE.test(text) || QUOTE.test(text) || LIST_ITEM.test(text)
+}
+
+// `lines` are `{ text, line }`, `line` being the index in the original source
+function parseBlocks(lines) {
+  const blocks = []
+  let i = 0
+  while (i < lines.length) {
+    const { text } = lines[i]
+    if (isBlank(lines[i])) {
+      i++
+      continue
+    }
+
+    const fence = text.match(FENCE)
+    if (fence) {
+      const marker = fence[1]
+      const body = []
+      i++
+      while (i < lines.length && !lines[i].text.trimStart().startsWith(marker)) body.push(lines[i++].text)
+      i++
+      blocks.push({ type: 'code', lang: fence[2], text: body.join('\n') })
+      continue
+    }
+
+    const heading = text.match(HEADING)
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, content: parseInline(heading[2] ?? '') })
+      i++
+      continue
+    }
+
+    if (RULE.test(text)) {
+      blocks.push({ type: 'rule' })
+      i++
+      continue
+    }
+
+    if (QUOTE.test(text)) {
+      const inner = []
+      while (i < lines.length && QUOTE.test(lines[i].text)) {
+        inner.push({ text: lines[i].text.match(QUOTE)[1], line: lines[i].line })
+        i++
+      }
+      blocks.push({ type: 'quote', children: parseBlocks(inner) })
+      continue
+    }
+
+    if (LIST_ITEM.test(text)) {
+      const [list, next] = parseList(lines, i)
+      blocks.push(list)
+      i = next
+      continue
+    }
+
+    const paragraph = []
+    while (i < lines.length && !isBlank(lines[i]) && (paragraph.length === 0 || !startsBlock(lines[i].text))) {
+      paragraph.push(lines[i++].text.trim())
+    }
+    blocks.push({ type: 'paragraph', content: parseInline(paragraph.join('\n')) })
+  }
+  return blocks
+}
+
+// Reads the list starting at lines[start]; returns [block, index after it]
+function parseList(lines, start) {
+  const first = lines[start].text.match(LIST_ITEM)
+  const indent = first[1].length
+  const ordered = /\d/.test(first[2])
+  const list = { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, items: [] }
+  let i = start
+  while (i < lines.length) {
+    const m = lines[i].text.match(LIST_ITEM)
+    if (!m || m[1].length !== indent || /\d/.test(m[2]) !== ordered) break
+    const contentIndent = indent + m[2].length + 1
+    const itemLine = lines[i].line
+    const task = (m[3] ?? '').match(TASK)
+    const textLines = [task ? task[2] ?? '' : m[3] ?? '']
+    const nested = []
+    i++
+    // Following lines of text, indented or not, join the item's text
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i].text)) {
+      textLines.push(lines[i++].text.trim())
+    }
+    // Anything indented under the item belongs to it, blank lines included
+    // as long as more indented lines follow
+    while (i < lines.length) {
+      if (isBlank(lines[i])) {
+        const resume = lines.slice(i).findIndex(l => !isBlank(l))
+        if (resume === -1 || indentOf(lines[i + resume].text) < contentIndent) break
+        i += resume
+        continue
+      }
+      if (indentOf(lines[i].text) < Math.min(contentIndent, indent + 2)) break
+      const cut = Math.min(indentOf(lines[i].text), contentIndent)
+      nested.push({ text: lines[i].text.slice(cut), line: lines[i].line })
+      i++
+    }
+    list.items.push({
+      content: parseInline(textLines.join('\n').trim()),
+      task: task ? { checked: task[1] !== ' ', line: itemLine } : null,
+      children: parseBlocks(nested),
+    })
+    // A blank line between items doesn't end the list
+    const resume = lines.slice(i).findIndex(l => !isBlank(l))
+    if (resume > 0 && LIST_ITEM.test(lines[i + resume].text)) i += resume
+  }
+  return [list, i]
+}
+
+// Global so that each can be searched from a position with lastIndex
+const INLINE = [
+  ['escape', /\\([!-/:-@[-`{-~])/g],
+  ['code', /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g],
+  ['image', /!\[((?:[^[\]\\]|\\.)*)\]\(\s*<?((?:[^\s<>()]|\([^\s<>()]*\))*)>?(?:\s+"[^"]*")?\s*\)/g],
+  ['link', /\[((?:[^[\]\\]|\\.)*)\]\(\s*<?((?:[^\s<>()]|\([^\s<>()]*\))*)>?(?:\s+"[^"]*")?\s*\)/g],
+  ['autolink', /<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi],
+  ['url', /\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/gi],
+  ['strong', /\*\*([^\s*](?:[\s\S]*?[^\s])?)\*\*|__([^\s_](?:[\s\S]*?[^\s])?)__(?!\w)/g],
+  ['del', /~~([^\s~](?:[\s\S]*?[^\s])?)~~/g],
+  ['em', /\*([^\s*](?:[\s\S]*?[^\s*])?)\*|(?<![\w\\])_([^\s_](?:[\s\S]*?[^\s_])?)_(?!\w)/g],
+  ['br', /\n/g],
+]
+
+// Only web and mail links; anything else (javascript:, data:, relative
+// paths) is dropped and its text shown as is
+export function safeHref(url) {
+  return /^(https?:\/\/|mailto:)/i.test(url) ? url : null
+}
+
+export function parseInline(text) {
+  const nodes = []
+  const pushText = (t) => {
+    if (!t) return
+    if (nodes.at(-1)?.type === 'text') nodes.at(-1).text += t
+    else nodes.push({ type: 'text', text: t })
+  }
+  // The text is scanned left to right. Each pattern's next match is kept
+  // and only searched for again once the cursor has passed it, rather than
+  // every pattern rescanning the rest of the text for every token, which
+  // made long descriptions take seconds.
+  let pos = 0
+  const upcoming = new Map()
+  const nextMatch = (type, pattern) => {
+    const kept = upcoming.get(type)
+    if (kept === null || kept?.index >= pos) return kept
+    pattern.lastIndex = pos
+    const m = pattern.exec(text)
+    upcoming.set(type, m)
+    return m
+  }
+  while (pos < text.length) {
+    let best = null
+    for (const [type, pattern] of INLINE) {
+      const m = nextMatch(type, pattern)
+      if (m && (!best || m.index < best.m.index)) best = { type, m }
+    }
+    if (!best) {
+      pushText(text.slice(pos))
+      break
+    }
+    const { type, m } = best
+    pushText(text.slice(pos, m.index))
+    pos = m.index + m[0].length
+    switch (type) {
+      case 'escape': pushText(m[1]); break
+      case 'code': nodes.push({ type: 'code', text: m[2].replace(/^ (.*) $/, '$1') }); break
+      case 'image':
+      case 'link': {
+        const href = safeHref(m[2])
+        const children = type === 'image' ? [{ type: 'text', text: m[1] || m[2] }] : parseInline(m[1])
+        if (href) nodes.push({ type: 'link', href, children })
+        else children.forEach(n => (n.type === 'text' ? pushText(n.text) : nodes.push(n)))
+        break
+      }
+      case 'autolink':
+      case 'url': {
+        const href = m[1] ?? m[0]
+        nodes.push({ type: 'link', href, children: [{ type: 'text', text: href.replace(/^mailto:/i, '') }] })
+        break
+      }
+      case 'br': nodes.push({ type: 'br' }); break
+      default: nodes.push({ type, children: parseInline(m[1] ?? m[2]) })
+    }
+  }
+  return nodes
+}
+
+export function parseMarkdown(source) {
+  const lines = source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n')
+  return parseBlocks(lines.map((text, line) => ({ text, line })))
+}
+
+// Checks or unchecks the task item on `line` of `source`
+export function toggleTask(source, line) {
+  const lines = source.split('\n')
+  const m = lines[line]?.match(TASK_LINE)
+  if (!m) return source
+  lines[line] = `${m[1]}[${m[2] === ' ' ? 'x' : ' '}]${lines[line].slice(m[0].length)}`
+  return lines.join('\n')
+}
+
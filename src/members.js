@@ -0,0 +1,34 @@
+// Board members are `{ id, name, initials, color }`; cards list the IDs of
+// their assignees. Members are kept per board, like labels and columns.
+
+export const MEMBER_COLORS = [
+  '#2563EB', '#DB2777', '#059669', '#D97706', '#7C3AED', '#DC2626', '#0891B2', '#4B5563',
+]
+
+export function makeMemberId() {
+  return `member-${crypto.randomUUID().slice(0, 8)}`
+}
+
+// "Ada Lovelace" -> "AL", "cher" -> "CH"
+export function makeInitials(name) {
+  const words = name.trim().split(/\s+/).filter(Boolean)
+  const letters = words.length > 1 ? words[0][0] + words[words.length - 1][0] : (words[0] ?? '').slice(0, 2)
+  return letters.toUpperCase()
+}
+
+export function nextMemberColor(state) {
+  return MEMBER_COLORS[(state.members?.length ?? 0) % MEMBER_COLORS.length]
+}
+
+// Looks a member up by ID, or by name ignoring case, for tools that let
+// agents name people the way a user would.
+export function findMember(state, ref) {
+  const members = state.members ?? []
+  return members.find(m => m.id === ref) ?? members.find(m => m.name.toLowerCase() === ref.toLowerCase())
+}
+
+// The card's assignees that are still members, in member-list order
+export function cardAssignees(state, card) {
+  const ids = card.assignees ?? []
+  return (state.members ?? []).filter(m => ids.includes(m.id))
+}
@@ -0,0 +1,162 @@
+import { todayISO, daysBetween, addDays } from './dates.js'
+
+// Flow metrics computed from each card's column transitions. A card is
+// finished when it sits in the board's last column, finishing at its latest
+// entry into it. Lead time runs from creation to finish; cycle time from
+// the first time the card reached the start column (or any column after
+// it) to finish. Cards deleted from the board are not counted.
+
+const DAY_MS = 86400000
+
+// Cards saved before transitions were recorded are taken to have been in
+// their current column since they were created.
+export function transitionsOf(card) {
+  return card.transitions?.length ? card.transitions : [{ column: card.column, at: card.createdAt }]
+}
+
+// Where work is taken to start: the first column whose ID or title mentions
+// progress or doing, otherwise the second column.
+export function defaultStartColumn(state) {
+  const match = state.columns.find(id => /progress|doing/i.test(`${id} ${state.columnMeta[id].title}`))
+  return match ?? state.columns[Math.min(1, state.columns.length - 1)]
+}
+
+function localDate(at) {
+  return todayISO(new Date(at))
+}
+
+function endOfDay(date) {
+  return new Date(`${date}T23:59:59.999`).getTime()
+}
+
+// Monday of the week containing `date`
+export function weekStart(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay()
+  return addDays(date, -((day + 6) % 7))
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10
+}
+
+// `{ count, averageDays, medianDays, minDays, maxDays }`, or null if empty
+function stats(days) {
+  if (days.length === 0) return null
+  const sorted = [...days].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+  return {
+    count: days.length,
+    averageDays: round(days.reduce((sum, d) => sum + d, 0) / days.length),
+    medianDays: round(median),
+    minDays: round(sorted[0]),
+    maxDays: round(sorted[sorted.length - 1]),
+  }
+}
+
+// Archived cards still count toward the metrics; they have only left the board
+function allCards(state) {
+  return [...state.cards, ...(state.archived ?? [])]
+}
+
+// One record per card in the last column, or archived from it
+function finishedCards(state, startColumn) {
+  const done = state.columns[state.columns.length - 1]
+  const startIndex = state.columns.indexOf(startColumn)
+  return allCards(state).filter(c => c.column === done).map(card => {
+    const transitions = transitionsOf(card)
+    const finishedAt = transitions.filter(t => t.column === done).at(-1)?.at ?? card.createdAt
+    const started = transitions.find(t => state.columns.indexOf(t.column) >= startIndex)
+    const startedAt = started && started.at <= finishedAt ? started.at : finishedAt
+    return {
+      card,
+      finishedAt,
+      leadDays: Math.max(0, Date.parse(finishedAt) - Date.parse(card.createdAt)) / DAY_MS,
+      cycleDays: Math.max(0, Date.parse(finishedAt) - Date.parse(startedAt)) / DAY_MS,
+    }
+  })
+}
+
+// Average days a card spends in each column per visit, over visits that
+// started between `from` and `to`; the last column is left out, since
+// finished cards stay there. A visit still under way counts up to `now`.
+function timeInColumns(state, from, to, now) {
+  const done = state.columns[state.columns.length - 1]
+  const visits = {}
+  for (const card of allCards(state)) {
+    const transitions = transitionsOf(card)
+    transitions.forEach((t, i) => {
+      const date = localDate(t.at)
+      if (t.column === done || date < from || date > to) return
+      const end = transitions[i + 1] ? Date.parse(transitions[i + 1].at) : now
+      ;(visits[t.column] ??= []).push(Math.max(0, end - Date.parse(t.at)) / DAY_MS)
+    })
+  }
+  return state.columns.filter(id => id !== done).map(id => ({
+    column: id,
+    title: state.columnMeta[id].title,
+    visits: visits[id]?.length ?? 0,
+    averageDays: visits[id] ? round(visits[id].reduce((sum, d) => sum + d, 0) / visits[id].length) : null,
+  }))
+}
+
+// Cards in each column at the end of every day from `from` to `to`
+function cumulativeFlow(state, from, to) {
+  const days = []
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const cutoff = endOfDay(date)
+    const counts = Object.fromEntries(state.columns.map(id => [id, 0]))
+    for (const card of allCards(state)) {
+      const entered = transitionsOf(card).filter(t => Date.parse(t.at) <= cutoff).at(-1)
+      if (entered && entered.column in counts) counts[entered.column]++
+    }
+    days.push({ date, counts })
+  }
+  return days
+}
+
+// Flow metrics for cards finished between `from` and `to` (inclusive local
+// dates, defaulting to the last 30 days). Throughput is counted per
+// Monday-to-Sunday week.
+export function computeFlowMetrics(state, { from, to, startColumn, now = Date.now() } = {}) {
+  const today = todayISO(new Date(now))
+  const end = to || today
+  const start = from || addDays(end, -29)
+  const begin = startColumn && state.columns.includes(startColumn) ? startColumn : defaultStartColumn(state)
+  const finished = finishedCards(state, begin).filter(f => {
+    const date = localDate(f.finishedAt)
+    return date >= start && date <= end
+  })
+
+  const weeks = []
+  for (let week = weekStart(start); week <= end; week = addDays(week, 7)) {
+    weeks.push({ weekStart: week, finished: 0 })
+  }
+  for (const f of finished) {
+    const entry = weeks.find(w => w.weekStart === weekStart(localDate(f.finishedAt)))
+    if (entry) entry.finished++
+  }
+
+  return {
+    from: start,
+    to: end,
+    days: daysBetween(start, end) + 1,
+    startColumn: begin,
+    doneColumn: state.columns[state.columns.length - 1],
+    finishedCount: finished.length,
+    leadTime: stats(finished.map(f => f.leadDays)),
+    cycleTime: stats(finished.map(f => f.cycleDays)),
+    throughput: weeks,
+    timeInColumn: timeInColumns(state, start, end, now),
+    cumulativeFlow: cumulativeFlow(state, start, end),
+    finished: finished
+      .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt))
+      .map(f => ({
+        id: f.card.id,
+        title: f.card.title,
+        finishedAt: f.finishedAt,
+        leadDays: round(f.leadDays),
+        cycleDays: round(f.cycleDays),
+      })),
+  }
+}
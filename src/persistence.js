@@ -0,0 +1,235 @@
+import { z } from 'zod'
+import { boardSchema, cardSchema, formatIssues } from './schema.js'
+
+// Everything written to localStorage is wrapped as
+// `{ version, savedAt, data }`. Bump STORAGE_VERSION whenever the shape of
+// saved board data changes, and append a migration that upgrades data from
+// the previous version.
+export const STORAGE_VERSION = 3
+
+const QUARANTINE_KEY = 'webmcp-kanban-quarantine'
+const QUARANTINE_LIMIT = 20
+
+// Migrations are snapshots of how the data looked at the time, so they must
+// not import current app constants that may change later. Each one must also
+// be safe to run on data that is already in the newer shape, because
+// unversioned saves can only be dated approximately.
+const MIGRATIONS = [
+  // 0 → 1: a bare array of cards, from before columns were part of the save
+  cards => ({
+    columns: ['backlog', 'todo', 'in-progress', 'done'],
+    columnMeta: {
+      backlog: { title: 'Backlog', color: '#6B7280' },
+      todo: { title: 'To Do', color: '#3B82F6' },
+      'in-progress': { title: 'In Progress', color: '#F59E0B' },
+      done: { title: 'Done', color: '#10B981' },
+    },
+    cards,
+  }),
+
+  // 1 → 2: columns gained WIP limit settings and cards an explicit rank
+  board => {
+    const counts = {}
+    const ranked = Array.isArray(board.cards) && board.cards.every(c => typeof c?.rank === 'number')
+    return {
+      ...board,
+      columnMeta: Object.fromEntries(
+        Object.entries(board.columnMeta ?? {}).map(([id, meta]) => [
+          id,
+          { wipLimit: null, enforceWipLimit: false, ...meta },
+        ])
+      ),
+      cards: ranked || !Array.isArray(board.cards)
+        ? board.cards
+        : board.cards.map(card => {
+            const rank = counts[card?.column] ?? 0
+            counts[card?.column] = rank + 1
+            return { ...card, rank }
+          }),
+    }
+  },
+
+  // 2 → 3: cards gained dates, a checklist, assignees, column transitions and
+  // comments; boards gained label settings, members, card links, an archive,
+  // auto-archiving and card templates
+  board => {
+    const upgradeCard = card => ({
+      startDate: null,
+      dueDate: null,
+      checklist: [],
+      assignees: [],
+      transitions: [],
+      comments: [],
+      ...card,
+    })
+    return {
+      labelMeta: {},
+      members: [],
+      links: [],
+      archived: [],
+      autoArchiveDays: null,
+      templates: [],
+      ...board,
+      cards: Array.isArray(board.cards) ? board.cards.map(upgradeCard) : board.cards,
+      ...(Array.isArray(board.archived) && { archived: board.archived.map(upgradeCard) }),
+    }
+  },
+]
+
+export function wrap(data) {
+  return { version: STORAGE_VERSION, savedAt: new Date().toISOString(), data }
+}
+
+function isEnvelope(value) {
+  return value !== null && typeof value === 'object' && Number.isInteger(value.version) && 'data' in value
+}
+
+// Dates data saved before envelopes existed by its shape.
+function unwrapBoard(value) {
+  if (isEnvelope(value)) return { version: value.version, data: value.data }
+  if (Array.isArray(value)) return { version: 0, data: value }
+  return { version: 1, data: value }
+}
+
+export function migrate(data, fromVersion) {
+  let migrated = data
+  for (let v = fromVersion; v < STORAGE_VERSION; v++) migrated = MIGRATIONS[v](migrated)
+  return migrated
+}
+
+export function readQuarantine() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(QUARANTINE_KEY))
+    return Array.isArray(saved) ? saved : []
+  } catch {
+    return []
+  }
+}
+
+// Sets unreadable data aside instead of discarding it, so it can still be
+// downloaded and repaired by hand.
+export function quarantine(key, payload, errors) {
+  const entries = [...readQuarantine(), { key, quarantinedAt: new Date().toISOString(), errors, payload }]
+  try {
+    localStorage.setItem(QUARANTINE_KEY, JSON.stringify(entries.slice(-QUARANTINE_LIMIT)))
+  } catch {
+    // Out of quota: the payload is still in its original key until overwritten
+  }
+}
+
+// Returns `{ found, value }`; text that is not valid JSON is quarantined.
+function readStored(key) {
+  const text = localStorage.getItem(key)
+  if (text === null) return { found: false }
+  try {
+    return { found: true, value: JSON.parse(text) }
+  } catch (err) {
+    quarantine(key, text, [`Not valid JSON: ${err.message}`])
+    return { found: true, value: undefined }
+  }
+}
+
+// Loads, migrates and validates one board. Cards that fail validation are
+// quarantined and the rest of the board is kept; if the board itself is
+// unusable, `board` is null. `notices` are user-facing recovery messages.
+export function loadBoardData(key, name) {
+  const { found, value } = readStored(key)
+  if (!found) return { board: null, notices: [] }
+  if (value === undefined) {
+    return { board: null, notices: [`"${name}" could not be read and was set aside.`] }
+  }
+
+  let data
+  try {
+    const { version, data: raw } = unwrapBoard(value)
+    data = migrate(raw, version)
+  } catch (err) {
+    quarantine(key, value, [`Migration failed: ${err.message}`])
+    return { board: null, notices: [`"${name}" could not be upgraded and was set aside.`] }
+  }
+
+  const result = boardSchema.safeParse(data)
+  if (result.success) return { board: result.data, notices: [] }
+
+  const shell = boardSchema.safeParse({ ...data, cards: [] })
+  if (!shell.success) {
+    quarantine(key, value, formatIssues(result.error))
+    return { board: null, notices: [`"${name}" was damaged and was set aside.`] }
+  }
+
+  const columns = new Set(shell.data.columns)
+  const ids = new Set()
+  const kept = []
+  const rejected = []
+  for (const card of Array.isArray(data.cards) ? data.cards : []) {
+    const parsed = cardSchema.safeParse(card)
+    if (parsed.success && columns.has(parsed.data.column) && !ids.has(parsed.data.id)) {
+      ids.add(parsed.data.id)
+      kept.push(parsed.data)
+    } else {
+      rejected.push(card)
+    }
+  }
+  quarantine(key, { cards: Array.isArray(data.cards) ? rejected : data.cards }, formatIssues(result.error))
+  const lost = Array.isArray(data.cards) ? rejected.length : 'Some'
+  return {
+    board: { ...shell.data, cards: kept },
+    notices: [`${lost} card(s) on "${name}" could not be read and were set aside.`],
+  }
+}
+
+// History is a convenience: if any snapshot fails to migrate or validate the
+// whole history is dropped rather than quarantined.
+export function loadHistoryData(key) {
+  const { found, value } = readStored(key)
+  if (!found || value === undefined) return null
+  const { version, data } = isEnvelope(value) ? value : { version: 1, data: value }
+  try {
+    const upgrade = entry => {
+      const state = boardSchema.parse(migrate(entry.state, version))
+      return { ...entry, state }
+    }
+    return {
+      past: (data.past ?? []).map(upgrade),
+      future: (data.future ?? []).map(upgrade),
+    }
+  } catch {
+    return null
+  }
+}
+
+const boardListSchema = z.object({
+  boardList: z.array(z.object({
+    id: z.string().min(1),
+    name: z.string().min(1),
+    archived: z.boolean().default(false),
+    createdAt: z.string(),
+  }).passthrough()).min(1),
+  activeBoardId: z.string().optional(),
+})
+
+// Returns the validated board registry, or null if there is none or it is
+// unusable (in which case it is quarantined).
+export function loadRegistry(key) {
+  const { found, value } = readStored(key)
+  if (!found || value === undefined) return { registry: null, damaged: found }
+  const result = boardListSchema.safeParse(isEnvelope(value) ? value.data : value)
+  if (result.success) return { registry: result.data, damaged: false }
+  quarantine(key, value, formatIssues(result.error))
+  return { registry: null, damaged: true }
+}
+
+// Loads a versioned value that is not board data, validated by `schema`.
+// Returns null if there is none; invalid data is quarantined.
+export function load(key, schema) {
+  const { found, value } = readStored(key)
+  if (!found || value === undefined) return null
+  const result = schema.safeParse(isEnvelope(value) ? value.data : value)
+  if (result.success) return result.data
+  quarantine(key, value, formatIssues(result.error))
+  return null
+}
+
+export function save(key, data) {
+  localStorage.setItem(key, JSON.stringify(wrap(data)))
+}
@@ -0,0 +1,144 @@
+import { z } from 'zod'
+import { LINK_TYPES } from './links.js'
+import { COMMENT_AUTHORS } from './comments.js'
+import { FREQUENCIES } from './templates.js'
+
+export const PRIORITIES = ['low', 'medium', 'high', 'critical']
+
+export const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date')
+
+export const checklistItemSchema = z.object({
+  id: z.string().min(1),
+  text: z.string().min(1),
+  done: z.boolean().default(false),
+}).passthrough()
+
+// When a card entered a column; see metrics.js.
+export const transitionSchema = z.object({
+  column: z.string().min(1),
+  at: z.string().datetime(),
+}).passthrough()
+
+// A comment on a card; see comments.js.
+export const commentSchema = z.object({
+  id: z.string().min(1),
+  author: z.enum(COMMENT_AUTHORS),
+  text: z.string().min(1),
+  createdAt: z.string().datetime(),
+  editedAt: z.string().datetime().optional(),
+}).passthrough()
+
+// Unknown keys are kept (passthrough) so data written by a newer version of
+// the app is not silently stripped when it passes through an older one.
+export const cardSchema = z.object({
+  id: z.string().min(1),
+  title: z.string().min(1),
+  description: z.string().default(''),
+  priority: z.enum(PRIORITIES).default('medium'),
+  labels: z.array(z.string()).default([]),
+  column: z.string().min(1),
+  rank: z.number().optional(),
+  startDate: dateSchema.nullable().optional(),
+  dueDate: dateSchema.nullable().optional(),
+  checklist: z.array(checklistItemSchema).default([]),
+  assignees: z.array(z.string()).default([]),
+  transitions: z.array(transitionSchema).default([]),
+  comments: z.array(commentSchema).default([]),
+  createdAt: z.string().datetime().default(() => new Date().toISOString()),
+}).passthrough()
+
+// A link between two cards; see links.js.
+export const linkSchema = z.object({
+  id: z.string().min(1),
+  type: z.enum(LINK_TYPES),
+  from: z.string().min(1),
+  to: z.string().min(1),
+}).passthrough()
+
+// Settings for one label name; see labels.js.
+export const labelMetaSchema = z.object({
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/),
+  description: z.string().default(''),
+}).passthrough()
+
+// A card template, possibly recurring; see templates.js.
+export const templateSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  title: z.string().min(1),
+  description: z.string().default(''),
+  priority: z.enum(PRIORITIES).default('medium'),
+  labels: z.array(z.string()).default([]),
+  column: z.string().min(1).nullable().default(null),
+  recurrence: z.object({
+    frequency: z.enum(FREQUENCIES),
+    start: dateSchema,
+    next: dateSchema,
+    last: dateSchema.optional(),
+  }).nullable().default(null),
+}).passthrough()
+
+// A person cards can be assigned to; see members.js.
+export const memberSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  initials: z.string().min(1).max(3),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/),
+}).passthrough()
+
+export const columnMetaSchema = z.object({
+  title: z.string().min(1),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/),
+  wipLimit: z.number().int().min(1).nullable().default(null),
+  enforceWipLimit: z.boolean().default(false),
+}).passthrough()
+
+export const boardSchema = z.object({
+  columns: z.array(z.string().min(1)).min(1),
+  columnMeta: z.record(columnMetaSchema),
+  cards: z.array(cardSchema),
+  labelMeta: z.record(labelMetaSchema).default({}),
+  members: z.array(memberSchema).default([]),
+  links: z.array(linkSchema).default([]),
+  archived: z.array(cardSchema.extend({ archivedAt: z.string().datetime() })).default([]),
+  autoArchiveDays: z.number().int().min(1).nullable().default(null),
+  templates: z.array(templateSchema).default([]),
+}).passthrough().superRefine((board, ctx) => {
+  const columns = new Set(board.columns)
+  if (columns.size !== board.columns.length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['columns'], message: 'Column IDs must be unique' })
+  }
+  board.columns.forEach((id, i) => {
+    if (!board.columnMeta[id]) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['columns', i], message: `Column "${id}" has no columnMeta entry` })
+    }
+  })
+  const ids = new Set()
+  board.cards.forEach((card, i) => {
+    if (!columns.has(card.column)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['cards', i, 'column'], message: `Unknown column "${card.column}"` })
+    }
+    if (ids.has(card.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['cards', i, 'id'], message: `Duplicate card ID "${card.id}"` })
+    }
+    ids.add(card.id)
+  })
+})
+
+// One recorded WebMCP tool call; see activity.jsx.
+export const activityEntrySchema = z.object({
+  id: z.string().min(1),
+  at: z.string().datetime(),
+  tool: z.string().min(1),
+  args: z.record(z.unknown()).default({}),
+  success: z.boolean(),
+  result: z.unknown().optional(),
+  error: z.string().optional(),
+}).passthrough()
+
+// Flattens zod issues into "path: message" strings for display.
+export function formatIssues(error) {
+  return error.issues.map(issue =>
+    issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+  )
+}
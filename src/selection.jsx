@@ -0,0 +1,59 @@
+import { createContext, useContext, useMemo, useState } from 'react'
+import { columnCards } from './store.jsx'
+
+// Cards picked for a bulk action. The board owns the selection, so it
+// starts empty whenever another board is opened, and cards that leave the
+// board (deleted or archived, by anyone) drop out of it.
+export function useSelectionState(cards) {
+  const [ids, setIds] = useState(() => new Set())
+  // The last card clicked, where a shift-click range starts
+  const [anchor, setAnchor] = useState(null)
+  const selectedIds = useMemo(() => new Set(cards.filter(c => ids.has(c.id)).map(c => c.id)), [cards, ids])
+
+  return useMemo(() => {
+    const toggle = (id) => {
+      const next = new Set(selectedIds)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      setIds(next)
+      setAnchor(id)
+    }
+    return {
+      selectedIds,
+      isSelected: id => selectedIds.has(id),
+      toggle,
+      // Adds every card from the anchor to `id` in `orderedIds`, the cards
+      // as shown in the column; a plain toggle if the anchor isn't there
+      extend(id, orderedIds) {
+        const from = orderedIds.indexOf(anchor)
+        const to = orderedIds.indexOf(id)
+        if (from === -1 || to === -1) return toggle(id)
+        const range = orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1)
+        setIds(new Set([...selectedIds, ...range]))
+      },
+      // Selects all of `cardIds`, or deselects them if they all are already
+      toggleAll(cardIds) {
+        const all = cardIds.every(id => selectedIds.has(id))
+        setIds(all
+          ? new Set([...selectedIds].filter(id => !cardIds.includes(id)))
+          : new Set([...selectedIds, ...cardIds]))
+      },
+      clear() {
+        setIds(new Set())
+        setAnchor(null)
+      },
+    }
+  }, [selectedIds, anchor])
+}
+
+// The selected cards in board order: column by column, top to bottom
+export function orderedSelection(state, selectedIds) {
+  const selected = state.cards.filter(c => selectedIds.has(c.id))
+  return state.columns.flatMap(id => columnCards(selected, id))
+}
+
+export const SelectionContext = createContext(null)
+
+export function useSelection() {
+  return useContext(SelectionContext)
+}
@@ -1,6 +1,15 @@
-import { createContext, useContext, useEffect, useReducer } from 'react'
+import { createContext, useCallback, useContext, useEffect, useReducer, useRef } from 'react'
+import { createHistory, undoable } from './history.js'
+import { loadBoardData, loadHistoryData, loadRegistry, save } from './persistence.js'
+import { applyBoardPatch, boardPatch, createSync, prepare } from './sync.js'
+import { checkLink } from './links.js'
+import { labelInfo } from './labels.js'
+import { commentAuthor } from './comments.js'
+import { nextOccurrence } from './templates.js'
 
 const STORAGE_KEY = 'webmcp-kanban-board'
+const HISTORY_KEY = 'webmcp-kanban-history'
+const BOARDS_KEY = 'webmcp-kanban-boards'
 
 const SEED_CARDS = [
   {
@@ -77,43 +86,364 @@ const SEED_CARDS = [
   },
 ]
 
+export const COLUMN_COLORS = [
+  '#6B7280', '#3B82F6', '#F59E0B', '#10B981', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6',
+]
+
 const INITIAL_STATE = {
   columns: ['backlog', 'todo', 'in-progress', 'done'],
   columnMeta: {
-    backlog: { title: 'Backlog', color: '#6B7280' },
-    todo: { title: 'To Do', color: '#3B82F6' },
-    'in-progress': { title: 'In Progress', color: '#F59E0B' },
-    done: { title: 'Done', color: '#10B981' },
+    backlog: { title: 'Backlog', color: '#6B7280', wipLimit: null, enforceWipLimit: false },
+    todo: { title: 'To Do', color: '#3B82F6', wipLimit: null, enforceWipLimit: false },
+    'in-progress': { title: 'In Progress', color: '#F59E0B', wipLimit: null, enforceWipLimit: false },
+    done: { title: 'Done', color: '#10B981', wipLimit: null, enforceWipLimit: false },
   },
-  cards: SEED_CARDS,
+  cards: withRanks(SEED_CARDS),
+  labelMeta: {},
+  members: [],
+  links: [],
+  archived: [],
+  autoArchiveDays: null,
+  templates: [],
+}
+
+// Most urgent first, as used by prioritize_column and the priority swimlanes
+export const PRIORITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 }
+
+// Cards carry an explicit `rank` that orders them within their column, so
+// display order never depends on where a card sits in the `cards` array.
+export function columnCards(cards, columnId) {
+  return cards.filter(c => c.column === columnId).sort((a, b) => a.rank - b.rank)
+}
+
+// Gives rank-less cards (seed data, older saves) a rank that preserves
+// their current array order within each column.
+export function withRanks(cards) {
+  if (cards.every(c => typeof c.rank === 'number')) return cards
+  const counts = {}
+  return cards.map(card => {
+    const rank = counts[card.column] ?? 0
+    counts[card.column] = rank + 1
+    return { ...card, rank }
+  })
+}
+
+// Whether the card ID is in use, on the board or in the archive
+function hasCard(state, cardId) {
+  return state.cards.some(c => c.id === cardId) || (state.archived ?? []).some(c => c.id === cardId)
+}
+
+function nextRank(cards, columnId) {
+  return cards.reduce((max, c) => (c.column === columnId ? Math.max(max, c.rank + 1) : max), 0)
+}
+
+// Cards remember when they entered each column, for the flow metrics
+function enterColumn(card, column, at) {
+  return { ...card, column, transitions: [...(card.transitions ?? []), { column, at }] }
+}
+
+// Moves a card into `toColumn` ahead of `beforeCardId` (or at `position`,
+// or at the end) and renumbers the destination column's ranks.
+function placeCard(cards, cardId, toColumn, { beforeCardId, position } = {}) {
+  const card = cards.find(c => c.id === cardId)
+  if (!card) return cards
+  const siblings = columnCards(cards, toColumn).filter(c => c.id !== cardId)
+  let index = siblings.length
+  if (beforeCardId) {
+    const i = siblings.findIndex(c => c.id === beforeCardId)
+    if (i >= 0) index = i
+  } else if (position !== undefined) {
+    index = Math.max(0, Math.min(position, siblings.length))
+  }
+  siblings.splice(index, 0, card)
+  const ranks = new Map(siblings.map((c, i) => [c.id, i]))
+  return cards.map(c =>
+    ranks.has(c.id)
+      ? { ...c, column: toColumn, rank: ranks.get(c.id) }
+      : c
+  )
+}
+
+function slugify(text) {
+  return text.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'column'
+}
+
+export function makeColumnId(state, title) {
+  const base = slugify(title)
+  let id = base
+  for (let n = 2; state.columns.includes(id); n++) id = `${base}-${n}`
+  return id
+}
+
+// Reports how close a column is to its work-in-progress limit once `adding`
+// more cards land in it. `exceeded` means the limit would be passed; when
+// the column enforces its limit, `blocked` is set and the reducer refuses.
+export function checkWipLimit(state, columnId, adding = 1) {
+  const meta = state.columnMeta[columnId]
+  const count = state.cards.filter(c => c.column === columnId).length
+  if (!meta?.wipLimit) return { limit: null, count, exceeded: false, blocked: false }
+  const exceeded = count + adding > meta.wipLimit
+  return { limit: meta.wipLimit, count, exceeded, blocked: exceeded && !!meta.enforceWipLimit }
+}
+
+// Applies board actions in order as a single state change, so a batch is
+// one history entry and undoes as one step.
+export function applyBatch(state, actions) {
+  return actions.reduce(boardReducer, state)
+}
+
+// Card-level differences between two states of a board, for previews.
+export function diffBoards(before, after) {
+  const previous = new Map(before.cards.map(c => [c.id, c]))
+  const remaining = new Set(after.cards.map(c => c.id))
+  const diff = { created: [], moved: [], updated: [], deleted: [] }
+  for (const card of after.cards) {
+    const old = previous.get(card.id)
+    if (!old) {
+      diff.created.push({ id: card.id, title: card.title, column: card.column })
+      continue
+    }
+    if (old.column !== card.column) {
+      diff.moved.push({ id: card.id, title: card.title, from: old.column, to: card.column })
+    }
+    const changes = Object.fromEntries(
+      ['title', 'description', 'priority', 'labels', 'assignees', 'startDate', 'dueDate', 'checklist']
+        .filter(field => JSON.stringify(old[field] ?? null) !== JSON.stringify(card[field] ?? null))
+        .map(field => [field, { from: old[field], to: card[field] }])
+    )
+    if (Object.keys(changes).length > 0) diff.updated.push({ id: card.id, title: card.title, changes })
+  }
+  diff.deleted = before.cards.filter(c => !remaining.has(c.id)).map(c => ({ id: c.id, title: c.title }))
+  return diff
+}
+
+// Drops links to cards that are no longer on the board. Links to archived
+// cards are kept, so they come back if the card is restored.
+function pruneLinks(state) {
+  if (!state.links) return state
+  const ids = new Set([...state.cards, ...(state.archived ?? [])].map(c => c.id))
+  const links = state.links.filter(l => ids.has(l.from) && ids.has(l.to))
+  return links.length === state.links.length ? state : { ...state, links }
+}
+
+// Replaces every `sources` label with `into` on every card, keeping the
+// position of the first one. `into` keeps its own settings; if it has none
+// it takes those of the first source that does.
+function mergeLabels(state, sources, into) {
+  const merging = new Set(sources.filter(name => name !== into))
+  if (merging.size === 0) return state
+  const labelMeta = { ...state.labelMeta }
+  const inherited = [...merging].find(name => labelMeta[name])
+  if (!labelMeta[into] && inherited) labelMeta[into] = labelMeta[inherited]
+  merging.forEach(name => delete labelMeta[name])
+  return {
+    ...state,
+    labelMeta,
+    cards: state.cards.map(card => {
+      if (!card.labels.some(l => merging.has(l))) return card
+      const labels = [...new Set(card.labels.map(l => (merging.has(l) ? into : l)))]
+      return { ...card, labels }
+    }),
+  }
+}
+
+// Cards saved before checklists existed have none
+function updateChecklist(state, cardId, update) {
+  return {
+    ...state,
+    cards: state.cards.map(card =>
+      card.id === cardId ? { ...card, checklist: update(card.checklist ?? []) } : card
+    ),
+  }
+}
+
+function updateComments(state, cardId, update) {
+  return {
+    ...state,
+    cards: state.cards.map(card =>
+      card.id === cardId ? { ...card, comments: update(card.comments ?? []) } : card
+    ),
+  }
+}
+
+// Whether the comment an action edits or deletes was written by whoever
+// dispatched it
+function ownComment(state, { payload, ...action }) {
+  const card = state.cards.find(c => c.id === payload.cardId)
+  const comment = card?.comments?.find(c => c.id === payload.commentId)
+  return comment?.author === commentAuthor(action)
 }
 
 function boardReducer(state, action) {
   switch (action.type) {
+    case 'BATCH':
+      return applyBatch(state, action.payload.actions)
+
     case 'LOAD_BOARD':
-      return { ...state, cards: action.payload.cards }
+      return {
+        ...state,
+        ...action.payload,
+        ...(action.payload.cards && { cards: withRanks(action.payload.cards) }),
+      }
+
+    case 'IMPORT_BOARD': {
+      const { board, mode, fields } = action.payload
+      if (mode === 'replace') {
+        return {
+          ...state,
+          labelMeta: {},
+          members: [],
+          links: [],
+          archived: [],
+          autoArchiveDays: null,
+          templates: [],
+          ...board,
+          cards: withRanks(board.cards),
+        }
+      }
+
+      // Merge: new columns are appended, existing columns keep their settings.
+      // Imported cards overwrite same-ID cards, only in `fields` when the
+      // import names them (CSV); anything new or re-homed goes to the bottom
+      // of its column in the imported order.
+      const incoming = new Map(board.cards.map(c => [c.id, c]))
+      const kept = state.cards.map(c => {
+        const imported = incoming.get(c.id)
+        if (!imported) return c
+        const update = fields ? { ...c, ...Object.fromEntries(fields.map(f => [f, imported[f]])) } : imported
+        return update.column === c.column ? { ...update, rank: c.rank } : { ...update, rank: undefined }
+      })
+      const existingIds = new Set(state.cards.map(c => c.id))
+      const added = withRanks(board.cards)
+        .filter(c => !existingIds.has(c.id))
+        .sort((a, b) => a.rank - b.rank)
+      const counters = {}
+      const placed = [...kept, ...added].map((c, i) => {
+        if (i < kept.length && c.rank !== undefined) return c
+        counters[c.column] ??= nextRank(kept.filter(k => k.rank !== undefined), c.column)
+        return { ...c, rank: counters[c.column]++ }
+      })
+      const newColumns = board.columns.filter(id => !state.columns.includes(id))
+      return {
+        ...state,
+        columns: [...state.columns, ...newColumns],
+        columnMeta: {
+          ...state.columnMeta,
+          ...Object.fromEntries(newColumns.map(id => [id, board.columnMeta[id]])),
+        },
+        cards: placed,
+        labelMeta: { ...board.labelMeta, ...state.labelMeta },
+        members: [
+          ...(state.members ?? []),
+          ...(board.members ?? []).filter(m => !(state.members ?? []).some(k => k.id === m.id)),
+        ],
+        // An imported card that is archived here comes back onto the board
+        archived: [
+          ...(state.archived ?? []).filter(a => !incoming.has(a.id)),
+          ...(board.archived ?? []).filter(a => !existingIds.has(a.id) && !state.archived?.some(k => k.id === a.id)),
+        ],
+        templates: [
+          ...(state.templates ?? []),
+          ...(board.templates ?? []).filter(t => !(state.templates ?? []).some(k => k.id === t.id)),
+        ],
+        links: [
+          ...(state.links ?? []),
+          ...(board.links ?? []).filter(l => !(state.links ?? []).some(k => k.id === l.id)),
+        ],
+      }
+    }
+
+    case 'ADD_COLUMN': {
+      const { title, color, wipLimit, enforceWipLimit, index } = action.payload
+      const id = action.payload.id || makeColumnId(state, title)
+      if (state.columns.includes(id)) return state
+      const columns = [...state.columns]
+      columns.splice(index ?? columns.length, 0, id)
+      return {
+        ...state,
+        columns,
+        columnMeta: {
+          ...state.columnMeta,
+          [id]: {
+            title,
+            color: color || COLUMN_COLORS[state.columns.length % COLUMN_COLORS.length],
+            wipLimit: wipLimit || null,
+            enforceWipLimit: !!enforceWipLimit,
+          },
+        },
+      }
+    }
+
+    case 'UPDATE_COLUMN': {
+      const { columnId, updates = {}, index } = action.payload
+      if (!state.columnMeta[columnId]) return state
+      let columns = state.columns
+      if (index !== undefined) {
+        columns = state.columns.filter(id => id !== columnId)
+        columns.splice(Math.max(0, Math.min(index, columns.length)), 0, columnId)
+      }
+      return {
+        ...state,
+        columns,
+        columnMeta: {
+          ...state.columnMeta,
+          [columnId]: { ...state.columnMeta[columnId], ...updates },
+        },
+      }
+    }
+
+    case 'DELETE_COLUMN': {
+      const { columnId, moveCardsTo } = action.payload
+      if (!state.columnMeta[columnId] || state.columns.length <= 1) return state
+      const { [columnId]: _removed, ...columnMeta } = state.columnMeta
+      const rankOffset = moveCardsTo ? nextRank(state.cards, moveCardsTo) : 0
+      const at = action.payload.at || new Date().toISOString()
+      return pruneLinks({
+        ...state,
+        columns: state.columns.filter(id => id !== columnId),
+        columnMeta,
+        cards: moveCardsTo
+          ? state.cards.map(c =>
+              c.column === columnId ? { ...enterColumn(c, moveCardsTo, at), rank: rankOffset + c.rank } : c
+            )
+          : state.cards.filter(c => c.column !== columnId),
+      })
+    }
 
     case 'ADD_CARD': {
+      const column = action.payload.column || state.columns[0]
+      if (checkWipLimit(state, column).blocked) return state
+      if (action.payload.id && hasCard(state, action.payload.id)) return state
+      const createdAt = action.payload.createdAt || new Date().toISOString()
       const newCard = {
         id: action.payload.id || crypto.randomUUID(),
         title: action.payload.title,
         description: action.payload.description || '',
         priority: action.payload.priority || 'medium',
         labels: action.payload.labels || [],
-        column: action.payload.column || 'backlog',
-        createdAt: new Date().toISOString(),
+        column,
+        startDate: action.payload.startDate || null,
+        dueDate: action.payload.dueDate || null,
+        checklist: action.payload.checklist || [],
+        assignees: action.payload.assignees || [],
+        transitions: action.payload.transitions || [{ column, at: createdAt }],
+        rank: nextRank(state.cards, column),
+        createdAt,
       }
       return { ...state, cards: [...state.cards, newCard] }
     }
 
     case 'MOVE_CARD': {
-      const { cardId, toColumn } = action.payload
-      return {
-        ...state,
-        cards: state.cards.map(card =>
-          card.id === cardId ? { ...card, column: toColumn } : card
-        ),
+      const { cardId, toColumn, beforeCardId, position } = action.payload
+      const card = state.cards.find(c => c.id === cardId)
+      if (!card) return state
+      if (card.column === toColumn) {
+        return { ...state, cards: placeCard(state.cards, cardId, toColumn, { beforeCardId, position }) }
       }
+      if (checkWipLimit(state, toColumn).blocked) return state
+      const at = action.payload.at || new Date().toISOString()
+      const cards = state.cards.map(c => (c.id === cardId ? enterColumn(c, toColumn, at) : c))
+      return { ...state, cards: placeCard(cards, cardId, toColumn, { beforeCardId, position }) }
     }
 
     case 'UPDATE_CARD': {
@@ -127,10 +457,10 @@ function boardReducer(state, action) {
     }
 
     case 'DELETE_CARD':
-      return {
+      return pruneLinks({
         ...state,
         cards: state.cards.filter(card => card.id !== action.payload.cardId),
-      }
+      })
 
     case 'ADD_LABEL': {
       const { cardId, label } = action.payload
@@ -144,13 +474,231 @@ function boardReducer(state, action) {
       }
     }
 
+    case 'REMOVE_LABEL': {
+      const { cardId, label } = action.payload
+      return {
+        ...state,
+        cards: state.cards.map(card =>
+          card.id === cardId && card.labels.includes(label)
+            ? { ...card, labels: card.labels.filter(l => l !== label) }
+            : card
+        ),
+      }
+    }
+
+    // Creates the registry entry if the label has none yet
+    case 'UPDATE_LABEL': {
+      const { name, updates } = action.payload
+      const { color, description } = labelInfo(state, name)
+      return {
+        ...state,
+        labelMeta: { ...state.labelMeta, [name]: { color, description, ...updates } },
+      }
+    }
+
+    case 'RENAME_LABEL':
+      return mergeLabels(state, [action.payload.from], action.payload.to)
+
+    case 'MERGE_LABELS':
+      return mergeLabels(state, action.payload.labels, action.payload.into)
+
+    case 'DELETE_LABEL': {
+      const { name } = action.payload
+      const { [name]: _removed, ...labelMeta } = state.labelMeta ?? {}
+      return {
+        ...state,
+        labelMeta,
+        cards: state.cards.map(card =>
+          card.labels.includes(name) ? { ...card, labels: card.labels.filter(l => l !== name) } : card
+        ),
+      }
+    }
+
+    case 'ARCHIVE_CARDS': {
+      const ids = new Set(action.payload.cardIds)
+      const at = action.payload.at || new Date().toISOString()
+      const archiving = state.cards.filter(c => ids.has(c.id))
+      if (archiving.length === 0) return state
+      return {
+        ...state,
+        cards: state.cards.filter(c => !ids.has(c.id)),
+        archived: [...(state.archived ?? []), ...archiving.map(c => ({ ...c, archivedAt: at }))],
+      }
+    }
+
+    // Back to its old column, or `column`; the first column if its old one
+    // is gone. Refused if the column enforces a WIP limit and is full.
+    case 'RESTORE_CARD': {
+      const card = state.archived?.find(c => c.id === action.payload.cardId)
+      if (!card) return state
+      const column = [action.payload.column, card.column, state.columns[0]].find(id => state.columns.includes(id))
+      if (checkWipLimit(state, column).blocked) return state
+      const { archivedAt: _archivedAt, ...restored } = column === card.column
+        ? card
+        : enterColumn(card, column, action.payload.at || new Date().toISOString())
+      return {
+        ...state,
+        archived: state.archived.filter(c => c.id !== card.id),
+        cards: [...state.cards, { ...restored, rank: nextRank(state.cards, column) }],
+      }
+    }
+
+    case 'PURGE_CARDS': {
+      const ids = new Set(action.payload.cardIds)
+      return pruneLinks({ ...state, archived: (state.archived ?? []).filter(c => !ids.has(c.id)) })
+    }
+
+    case 'SET_AUTO_ARCHIVE':
+      return { ...state, autoArchiveDays: action.payload.days || null }
+
+    case 'ADD_TEMPLATE': {
+      const { template } = action.payload
+      if ((state.templates ?? []).some(t => t.id === template.id)) return state
+      return { ...state, templates: [...(state.templates ?? []), template] }
+    }
+
+    case 'UPDATE_TEMPLATE': {
+      const { templateId, updates } = action.payload
+      return {
+        ...state,
+        templates: (state.templates ?? []).map(t => (t.id === templateId ? { ...t, ...updates } : t)),
+      }
+    }
+
+    case 'DELETE_TEMPLATE':
+      return { ...state, templates: (state.templates ?? []).filter(t => t.id !== action.payload.templateId) }
+
+    // Creates the occurrence of a recurring template due on `due` and
+    // schedules the next one after `today`. Only runs while `due` is still
+    // the template's next date, so two tabs opening the board at once create
+    // the card once. If the column is at an enforced WIP limit nothing
+    // happens, and the card is tried again next time. If the card already
+    // exists (on the board or archived), only the schedule moves on.
+    case 'CREATE_RECURRING_CARD': {
+      const { templateId, due, today, card } = action.payload
+      const template = state.templates?.find(t => t.id === templateId)
+      if (template?.recurrence?.next !== due) return state
+      const exists = hasCard(state, card.id)
+      const added = exists ? state : boardReducer(state, { type: 'ADD_CARD', payload: card })
+      if (added === state && !exists) return state
+      const recurrence = { ...template.recurrence, next: nextOccurrence(template.recurrence, today), last: due }
+      return {
+        ...added,
+        templates: added.templates.map(t => (t.id === templateId ? { ...t, recurrence } : t)),
+      }
+    }
+
+    case 'ADD_MEMBER': {
+      const { member } = action.payload
+      if ((state.members ?? []).some(m => m.id === member.id)) return state
+      return { ...state, members: [...(state.members ?? []), member] }
+    }
+
+    case 'UPDATE_MEMBER': {
+      const { memberId, updates } = action.payload
+      return {
+        ...state,
+        members: (state.members ?? []).map(m => (m.id === memberId ? { ...m, ...updates } : m)),
+      }
+    }
+
+    // Also unassigns the member from every card
+    case 'REMOVE_MEMBER': {
+      const { memberId } = action.payload
+      return {
+        ...state,
+        members: (state.members ?? []).filter(m => m.id !== memberId),
+        cards: state.cards.map(card =>
+          card.assignees?.includes(memberId)
+            ? { ...card, assignees: card.assignees.filter(id => id !== memberId) }
+            : card
+        ),
+      }
+    }
+
+    case 'ADD_CHECKLIST_ITEM': {
+      const { cardId, item, index } = action.payload
+      return updateChecklist(state, cardId, checklist => {
+        if (checklist.some(i => i.id === item.id)) return checklist
+        const next = [...checklist]
+        next.splice(index ?? next.length, 0, { done: false, ...item })
+        return next
+      })
+    }
+
+    case 'UPDATE_CHECKLIST_ITEM': {
+      const { cardId, itemId, updates } = action.payload
+      return updateChecklist(state, cardId, checklist =>
+        checklist.map(i => (i.id === itemId ? { ...i, ...updates } : i))
+      )
+    }
+
+    case 'MOVE_CHECKLIST_ITEM': {
+      const { cardId, itemId, index } = action.payload
+      return updateChecklist(state, cardId, checklist => {
+        const item = checklist.find(i => i.id === itemId)
+        if (!item) return checklist
+        const next = checklist.filter(i => i !== item)
+        next.splice(Math.max(0, Math.min(index, next.length)), 0, item)
+        return next
+      })
+    }
+
+    case 'REMOVE_CHECKLIST_ITEM': {
+      const { cardId, itemId } = action.payload
+      return updateChecklist(state, cardId, checklist => checklist.filter(i => i.id !== itemId))
+    }
+
+    case 'ADD_COMMENT': {
+      const { cardId, comment } = action.payload
+      return updateComments(state, cardId, comments =>
+        comments.some(c => c.id === comment.id)
+          ? comments
+          : [...comments, { ...comment, author: commentAuthor(action) }]
+      )
+    }
+
+    // Editing and deleting are refused for someone else's comment
+    case 'UPDATE_COMMENT': {
+      const { cardId, commentId, text, at } = action.payload
+      if (!ownComment(state, action)) return state
+      return updateComments(state, cardId, comments =>
+        comments.map(c => (c.id === commentId ? { ...c, text, editedAt: at || new Date().toISOString() } : c))
+      )
+    }
+
+    case 'DELETE_COMMENT': {
+      const { cardId, commentId } = action.payload
+      if (!ownComment(state, action)) return state
+      return updateComments(state, cardId, comments => comments.filter(c => c.id !== commentId))
+    }
+
+    // Refused, like a move past an enforced WIP limit, if the link is a
+    // duplicate, joins a card to itself or would make blocking links circular
+    case 'LINK_CARDS': {
+      const { link } = action.payload
+      const ids = new Set(state.cards.map(c => c.id))
+      if (!ids.has(link.from) || !ids.has(link.to) || checkLink(state, link)) return state
+      return { ...state, links: [...(state.links ?? []), link] }
+    }
+
+    case 'UNLINK_CARDS':
+      return { ...state, links: (state.links ?? []).filter(l => l.id !== action.payload.linkId) }
+
+    // What an undo or redo in another tab changed; see sync.js
+    case 'APPLY_PATCH':
+      return applyBoardPatch(state, action.payload.patch)
+
     case 'REORDER_COLUMN': {
       const { column, cardIds } = action.payload
-      const otherCards = state.cards.filter(c => c.column !== column)
-      const reorderedCards = cardIds
-        .map(id => state.cards.find(c => c.id === id))
-        .filter(Boolean)
-      return { ...state, cards: [...otherCards, ...reorderedCards] }
+      // Cards missing from cardIds keep their relative order after the listed ones
+      const listed = cardIds.filter(id => state.cards.some(c => c.id === id && c.column === column))
+      const rest = columnCards(state.cards, column).filter(c => !listed.includes(c.id)).map(c => c.id)
+      const ranks = new Map([...listed, ...rest].map((id, i) => [id, i]))
+      return {
+        ...state,
+        cards: state.cards.map(c => (ranks.has(c.id) ? { ...c, rank: ranks.get(c.id) } : c)),
+      }
     }
 
     default:
@@ -158,42 +706,360 @@ function boardReducer(state, action) {
   }
 }
 
+function cardTitle(state, cardId) {
+  const card = state.cards.find(c => c.id === cardId)
+  return card ? `"${card.title}"` : 'card'
+}
+
+function checklistItemText(state, { cardId, itemId }) {
+  const card = state.cards.find(c => c.id === cardId)
+  return card?.checklist?.find(i => i.id === itemId)?.text ?? 'item'
+}
+
+function linkText(state, { type, from, to }) {
+  return type === 'blocks'
+    ? `${cardTitle(state, from)} blocks ${cardTitle(state, to)}`
+    : `${cardTitle(state, from)} relates to ${cardTitle(state, to)}`
+}
+
+function memberName(state, memberId) {
+  return state.members?.find(m => m.id === memberId)?.name ?? memberId
+}
+
+function templateName(state, templateId) {
+  return state.templates?.find(t => t.id === templateId)?.name ?? templateId
+}
+
+function columnTitle(state, columnId) {
+  return state.columnMeta[columnId]?.title ?? columnId
+}
+
+// Human-readable label for a history entry, computed against the state
+// the action was applied to.
+export function describeAction(action, state) {
+  const { payload = {} } = action
+  switch (action.type) {
+    case 'LOAD_BOARD':
+      return 'Load board'
+    case 'BATCH':
+      return payload.label ?? `Apply ${payload.actions.length} operation(s)`
+    case 'ADD_CARD':
+      return `Add card "${payload.title}"`
+    case 'MOVE_CARD':
+      return `Move ${cardTitle(state, payload.cardId)} to ${columnTitle(state, payload.toColumn)}`
+    case 'UPDATE_CARD':
+      return `Update ${cardTitle(state, payload.cardId)}`
+    case 'DELETE_CARD':
+      return `Delete ${cardTitle(state, payload.cardId)}`
+    case 'ADD_LABEL':
+      return `Add label "${payload.label}" to ${cardTitle(state, payload.cardId)}`
+    case 'REMOVE_LABEL':
+      return `Remove label "${payload.label}" from ${cardTitle(state, payload.cardId)}`
+    case 'UPDATE_LABEL':
+      return `Update label "${payload.name}"`
+    case 'RENAME_LABEL':
+      return `Rename label "${payload.from}" to "${payload.to}"`
+    case 'MERGE_LABELS':
+      return `Merge ${payload.labels.map(l => `"${l}"`).join(', ')} into "${payload.into}"`
+    case 'DELETE_LABEL':
+      return `Delete label "${payload.name}"`
+    case 'ARCHIVE_CARDS':
+      if (payload.auto) return `Auto-archive ${payload.cardIds.length} card(s)`
+      return payload.cardIds.length === 1
+        ? `Archive ${cardTitle(state, payload.cardIds[0])}`
+        : `Archive ${payload.cardIds.length} cards`
+    case 'RESTORE_CARD':
+      return `Restore "${state.archived?.find(c => c.id === payload.cardId)?.title ?? 'card'}"`
+    case 'PURGE_CARDS':
+      return payload.cardIds.length === 1
+        ? `Permanently delete "${state.archived?.find(c => c.id === payload.cardIds[0])?.title ?? 'card'}"`
+        : `Permanently delete ${payload.cardIds.length} archived cards`
+    case 'SET_AUTO_ARCHIVE':
+      return payload.days ? `Auto-archive done cards after ${payload.days} day(s)` : 'Turn off auto-archive'
+    case 'ADD_TEMPLATE':
+      return `Add template "${payload.template.name}"`
+    case 'UPDATE_TEMPLATE':
+      return `Update template "${templateName(state, payload.templateId)}"`
+    case 'DELETE_TEMPLATE':
+      return `Delete template "${templateName(state, payload.templateId)}"`
+    case 'CREATE_RECURRING_CARD':
+      return `Create recurring card "${payload.card.title}"`
+    case 'ADD_MEMBER':
+      return `Add member "${payload.member.name}"`
+    case 'UPDATE_MEMBER':
+      return `Update member "${memberName(state, payload.memberId)}"`
+    case 'REMOVE_MEMBER':
+      return `Remove member "${memberName(state, payload.memberId)}"`
+    case 'REORDER_COLUMN':
+      return `Reorder ${columnTitle(state, payload.column)}`
+    case 'ADD_CHECKLIST_ITEM':
+      return `Add checklist item "${payload.item.text}" to ${cardTitle(state, payload.cardId)}`
+    case 'UPDATE_CHECKLIST_ITEM':
+      return payload.updates.done === undefined
+        ? `Edit checklist item on ${cardTitle(state, payload.cardId)}`
+        : `${payload.updates.done ? 'Check' : 'Uncheck'} "${checklistItemText(state, payload)}" on ${cardTitle(state, payload.cardId)}`
+    case 'MOVE_CHECKLIST_ITEM':
+      return `Reorder checklist on ${cardTitle(state, payload.cardId)}`
+    case 'REMOVE_CHECKLIST_ITEM':
+      return `Remove "${checklistItemText(state, payload)}" from ${cardTitle(state, payload.cardId)}`
+    case 'ADD_COMMENT':
+      return `Comment on ${cardTitle(state, payload.cardId)}`
+    case 'UPDATE_COMMENT':
+      return `Edit comment on ${cardTitle(state, payload.cardId)}`
+    case 'DELETE_COMMENT':
+      return `Delete comment on ${cardTitle(state, payload.cardId)}`
+    case 'LINK_CARDS':
+      return `Link: ${linkText(state, payload.link)}`
+    case 'UNLINK_CARDS': {
+      const link = state.links?.find(l => l.id === payload.linkId)
+      return link ? `Unlink: ${linkText(state, link)}` : 'Remove link'
+    }
+    case 'APPLY_PATCH':
+      return payload.label
+    case 'IMPORT_BOARD':
+      return payload.mode === 'replace' ? 'Replace board from import' : `Import ${payload.board.cards.length} card(s)`
+    case 'ADD_COLUMN':
+      return `Add column "${payload.title}"`
+    case 'UPDATE_COLUMN':
+      return `Update column ${columnTitle(state, payload.columnId)}`
+    case 'DELETE_COLUMN':
+      return `Delete column ${columnTitle(state, payload.columnId)}`
+    default:
+      return action.type
+  }
+}
+
+const historyReducer = undoable(boardReducer, { describe: describeAction })
+
+const EMPTY_BOARD = { ...INITIAL_STATE, cards: [] }
+
+export function makeBoardId() {
+  return `board-${crypto.randomUUID().slice(0, 8)}`
+}
+
+// Board management actions are handled here; every other action is routed
+// to one board's history, `action.boardId` or else the active board. Each
+// board therefore keeps its own independent undo history.
+function rootReducer(root, action) {
+  switch (action.type) {
+    case 'CREATE_BOARD': {
+      const { id, name, duplicateFrom, createdAt } = action.payload
+      if (root.boards[id]) return root
+      const source = duplicateFrom && root.boards[duplicateFrom]
+      return {
+        ...root,
+        boardList: [...root.boardList, { id, name, archived: false, createdAt }],
+        boards: { ...root.boards, [id]: createHistory(source ? source.present : EMPTY_BOARD) },
+        // A board created in another tab does not take over this one
+        activeBoardId: action.payload.activate === false || action.meta?.remote ? root.activeBoardId : id,
+      }
+    }
+
+    case 'RENAME_BOARD': {
+      const { id, name } = action.payload
+      return {
+        ...root,
+        boardList: root.boardList.map(b => (b.id === id ? { ...b, name } : b)),
+      }
+    }
+
+    case 'ARCHIVE_BOARD': {
+      const { id, archived } = action.payload
+      const boardList = root.boardList.map(b => (b.id === id ? { ...b, archived } : b))
+      const open = boardList.filter(b => !b.archived)
+      // There must always be one open board to show
+      if (open.length === 0) return root
+      return {
+        ...root,
+        boardList,
+        activeBoardId: open.some(b => b.id === root.activeBoardId) ? root.activeBoardId : open[0].id,
+      }
+    }
+
+    case 'DISMISS_NOTICES':
+      return { ...root, notices: [] }
+
+    case 'SWITCH_BOARD': {
+      const board = root.boardList.find(b => b.id === action.payload.id)
+      if (!board || board.archived) return root
+      return { ...root, activeBoardId: board.id }
+    }
+
+    default: {
+      const boardId = action.boardId ?? root.activeBoardId
+      const history = root.boards[boardId]
+      if (!history) return root
+      const next = historyReducer(history, action)
+      if (next === history) return root
+      return { ...root, boards: { ...root.boards, [boardId]: next } }
+    }
+  }
+}
+
+function loadBoard(stateKey, historyKey, name, fallback, notices) {
+  const loaded = loadBoardData(stateKey, name)
+  notices.push(...loaded.notices)
+  if (!loaded.board) return createHistory(fallback)
+  // A board that needed repairs starts a fresh history
+  return createHistory(loaded.board, loaded.notices.length === 0 ? loadHistoryData(historyKey) : null)
+}
+
+// Boards whose registry entry was lost, found by their storage keys.
+function findStoredBoards() {
+  const prefix = `${STORAGE_KEY}:`
+  return Object.keys(localStorage)
+    .filter(key => key.startsWith(prefix))
+    .map((key, i) => ({
+      id: key.slice(prefix.length),
+      name: `Recovered board ${i + 1}`,
+      archived: false,
+      createdAt: new Date().toISOString(),
+    }))
+}
+
+// `notices` tells the user about anything that had to be repaired or set
+// aside while loading; see persistence.js.
+function loadRoot() {
+  const notices = []
+  const { registry, damaged } = loadRegistry(BOARDS_KEY)
+  const boardList = registry?.boardList ?? (damaged ? findStoredBoards() : [])
+  if (damaged) notices.push('The list of boards was damaged and has been rebuilt from the boards found in storage.')
+  if (boardList.length > 0) {
+    const boards = Object.fromEntries(boardList.map(b => [
+      b.id,
+      loadBoard(`${STORAGE_KEY}:${b.id}`, `${HISTORY_KEY}:${b.id}`, b.name, EMPTY_BOARD, notices),
+    ]))
+    const open = boardList.filter(b => !b.archived)
+    const activeBoardId = open.some(b => b.id === registry?.activeBoardId) ? registry.activeBoardId : open[0]?.id
+    if (activeBoardId) return { boardList, activeBoardId, boards, notices }
+  }
+  // First run, or a save from before multiple boards: it becomes the first board
+  const id = 'main'
+  return {
+    boardList: [{ id, name: 'My Board', archived: false, createdAt: new Date().toISOString() }],
+    activeBoardId: id,
+    boards: { [id]: loadBoard(STORAGE_KEY, HISTORY_KEY, 'My Board', INITIAL_STATE, notices) },
+    notices,
+  }
+}
+
+// Each history entry is a full board snapshot, so only the most recent few
+// are kept across reloads; the rest stay undoable until the page closes.
+const SAVED_HISTORY_LIMIT = 10
+
+function saveBoard(id, history) {
+  save(`${STORAGE_KEY}:${id}`, history.present)
+  try {
+    save(`${HISTORY_KEY}:${id}`, {
+      past: history.past.slice(-SAVED_HISTORY_LIMIT),
+      future: history.future.slice(0, SAVED_HISTORY_LIMIT),
+    })
+  } catch {
+    // History is a convenience; losing it to a full quota is acceptable, but
+    // the previous save must not be left behind to be restored against a
+    // newer board on the next load
+    localStorage.removeItem(`${HISTORY_KEY}:${id}`)
+  }
+}
+
+const BoardsContext = createContext(null)
+const RootDispatchContext = createContext(null)
 const BoardContext = createContext(null)
 const BoardDispatchContext = createContext(null)
+const BoardHistoryContext = createContext(null)
 
 export function BoardProvider({ children }) {
-  const [state, dispatch] = useReducer(boardReducer, INITIAL_STATE, (initial) => {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY)
-      if (saved) {
-        const cards = JSON.parse(saved)
-        if (Array.isArray(cards) && cards.length > 0) {
-          return { ...initial, cards }
-        }
+  const [root, localDispatch] = useReducer(rootReducer, null, loadRoot)
+  const { boardList, activeBoardId, boards } = root
+  const history = boards[activeBoardId]
+
+  // Actions from other tabs are replayed here; ours are broadcast to them
+  const syncRef = useRef(null)
+  const rootRef = useRef(root)
+  rootRef.current = root
+  useEffect(() => {
+    const sync = createSync(localDispatch)
+    syncRef.current = sync
+    return () => sync.close()
+  }, [])
+  const rootDispatch = useCallback(action => {
+    const sync = syncRef.current
+    if (!sync) return localDispatch(prepare(action))
+    // Other tabs get the changes an undo or redo makes, not the UNDO itself,
+    // which they would apply to their own history
+    if (action.type === 'UNDO' || action.type === 'REDO') {
+      const boardId = action.boardId ?? rootRef.current.activeBoardId
+      const history = rootRef.current.boards[boardId]
+      const entry = action.type === 'UNDO' ? history?.past[history.past.length - 1] : history?.future[0]
+      if (entry) {
+        sync.publish({
+          type: 'APPLY_PATCH',
+          boardId,
+          meta: action.meta,
+          payload: {
+            patch: boardPatch(history.present, entry.state),
+            label: `${action.type === 'UNDO' ? 'Undo' : 'Redo'}: ${entry.label}`,
+          },
+        })
       }
-    } catch {
-      // Ignore parse errors, use seed data
     }
-    return initial
-  })
+    localDispatch(sync.send(action))
+  }, [])
 
+  // Only boards whose history object changed are written back
+  const savedBoardsRef = useRef({})
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(state.cards))
-  }, [state.cards])
+    for (const [id, board] of Object.entries(boards)) {
+      if (savedBoardsRef.current[id] !== board) saveBoard(id, board)
+    }
+    savedBoardsRef.current = boards
+  }, [boards])
+
+  useEffect(() => {
+    save(BOARDS_KEY, { boardList, activeBoardId })
+  }, [boardList, activeBoardId])
+
+  const dispatch = useCallback(
+    action => rootDispatch({ boardId: activeBoardId, ...action }),
+    [activeBoardId, rootDispatch]
+  )
 
   return (
-    <BoardContext.Provider value={state}>
-      <BoardDispatchContext.Provider value={dispatch}>
-        {children}
-      </BoardDispatchContext.Provider>
-    </BoardContext.Provider>
+    <BoardsContext.Provider value={root}>
+      <RootDispatchContext.Provider value={rootDispatch}>
+        <BoardContext.Provider value={history.present}>
+          <BoardHistoryContext.Provider value={history}>
+            <BoardDispatchContext.Provider value={dispatch}>
+              {children}
+            </BoardDispatchContext.Provider>
+          </BoardHistoryContext.Provider>
+        </BoardContext.Provider>
+      </RootDispatchContext.Provider>
+    </BoardsContext.Provider>
   )
 }
 
+// The active board's state, history and dispatch. Actions dispatched here
+// always apply to the board that was active when they were dispatched.
 export function useBoardState() {
   return useContext(BoardContext)
 }
 
+export function useBoardHistory() {
+  return useContext(BoardHistoryContext)
+}
+
 export function useBoardDispatch() {
   return useContext(BoardDispatchContext)
 }
+
+// Every board: `{ boardList, activeBoardId, boards, notices }`, where `boards` maps
+// board IDs to their history. The matching dispatch takes board management
+// actions, and board actions carrying an explicit `boardId`.
+export function useBoards() {
+  return useContext(BoardsContext)
+}
+
+export function useBoardsDispatch() {
+  return useContext(RootDispatchContext)
+}
@@ -0,0 +1,58 @@
+import { PRIORITY_ORDER } from './store.jsx'
+import { boardLabels } from './labels.js'
+
+// Ways to split the board into horizontal lanes. Each grouping lists its
+// lanes for a board, says which lane a card belongs in, and says how to
+// change a card so it lands in another lane (null if nothing needs to
+// change). Cards with several labels or assignees sit in the lane of their
+// first one; moving such a card to another lane swaps that one for the new
+// lane's, and moving it to the "No label" or "Unassigned" lane clears them.
+//
+// lanes(state) -> [{ key, title, color? }]
+// laneOf(card, state) -> key
+// moveTo(card, fromKey, toKey) -> updates for UPDATE_CARD, or null
+
+const NONE = ''
+
+export const GROUPINGS = {
+  priority: {
+    title: 'Priority',
+    lanes: () =>
+      Object.keys(PRIORITY_ORDER)
+        .sort((a, b) => PRIORITY_ORDER[a] - PRIORITY_ORDER[b])
+        .map(p => ({ key: p, title: p[0].toUpperCase() + p.slice(1) })),
+    laneOf: card => card.priority,
+    moveTo: (card, _from, to) => (card.priority === to ? null : { priority: to }),
+  },
+
+  label: {
+    title: 'Label',
+    lanes: state => [
+      ...boardLabels(state)
+        .filter(l => l.cardCount > 0)
+        .map(l => ({ key: l.name, title: l.name, color: l.color })),
+      { key: NONE, title: 'No label' },
+    ],
+    laneOf: card => card.labels[0] ?? NONE,
+    moveTo: (card, from, to) => {
+      if (from === to) return null
+      return { labels: to === NONE ? [] : [to, ...card.labels.filter(l => l !== from && l !== to)] }
+    },
+  },
+
+  assignee: {
+    title: 'Assignee',
+    lanes: state => [
+      ...(state.members ?? []).map(m => ({ key: m.id, title: m.name, color: m.color })),
+      { key: NONE, title: 'Unassigned' },
+    ],
+    laneOf: (card, state) => {
+      const ids = card.assignees ?? []
+      return ids.find(id => state.members?.some(m => m.id === id)) ?? NONE
+    },
+    moveTo: (card, from, to) => {
+      if (from === to) return null
+      return { assignees: to === NONE ? [] : [to, ...(card.assignees ?? []).filter(id => id !== from && id !== to)] }
+    },
+  },
+}
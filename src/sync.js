@@ -0,0 +1,202 @@
+// Keeps every open tab of the board in step by broadcasting dispatched
+// actions over a BroadcastChannel; each tab replays the others' actions
+// through its own reducer.
+//
+// Concurrent edits to the same card field, or the same checklist item, are
+// resolved last-writer-wins by Lamport timestamp, with the tab ID breaking
+// ties. Every tab compares the same (clock, tabId) pairs, so all tabs settle
+// on the same value whatever order the messages arrive in.
+//
+// Undo history is kept per tab, and the tabs' histories differ as soon as
+// they see actions in a different order. UNDO and REDO are therefore not
+// broadcast; the undoing tab sends what the undo changed instead, as an
+// APPLY_PATCH action (see boardPatch).
+
+const CHANNEL_NAME = 'webmcp-kanban-sync'
+
+// View state and history that belong to one tab only
+const LOCAL_ONLY = new Set(['SWITCH_BOARD', 'DISMISS_NOTICES', 'UNDO', 'REDO'])
+
+// Board state made of objects with an `id`, and of objects keyed by column
+// ID or label name; patches change these item by item
+const ID_LISTS = ['cards', 'archived', 'links', 'members', 'templates']
+const KEYED = ['columnMeta', 'labelMeta']
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b)
+
+// What changed between two states of a board, as a patch applyBoardPatch
+// can replay on another tab's copy. Cards, links and so on are written or
+// removed one by one, so changes the other tab has made to other items
+// survive.
+export function boardPatch(before, after) {
+  const patch = {}
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (same(before[key], after[key])) continue
+    if (ID_LISTS.includes(key)) {
+      const old = new Map((before[key] ?? []).map(item => [item.id, item]))
+      const items = after[key] ?? []
+      patch[key] = {
+        put: items.filter(item => !same(old.get(item.id), item)),
+        remove: [...old.keys()].filter(id => !items.some(item => item.id === id)),
+        order: items.map(item => item.id),
+      }
+    } else if (KEYED.includes(key)) {
+      const old = before[key] ?? {}
+      const entries = after[key] ?? {}
+      patch[key] = {
+        put: Object.fromEntries(Object.entries(entries).filter(([k, value]) => !same(old[k], value))),
+        remove: Object.keys(old).filter(k => !(k in entries)),
+      }
+    } else {
+      patch[key] = { set: after[key] }
+    }
+  }
+  return patch
+}
+
+export function applyBoardPatch(state, patch) {
+  const next = { ...state }
+  for (const [key, change] of Object.entries(patch)) {
+    if ('set' in change) {
+      next[key] = change.set
+    } else if (ID_LISTS.includes(key)) {
+      const put = new Map(change.put.map(item => [item.id, item]))
+      const kept = (state[key] ?? []).filter(item => !change.remove.includes(item.id))
+      const items = [...kept.map(item => put.get(item.id) ?? item), ...change.put.filter(item => !kept.some(k => k.id === item.id))]
+      // The patched order; items only this tab has go last
+      const position = new Map(change.order.map((id, i) => [id, i]))
+      next[key] = items.sort((a, b) => (position.get(a.id) ?? position.size) - (position.get(b.id) ?? position.size))
+    } else {
+      const entries = { ...state[key], ...change.put }
+      change.remove.forEach(k => delete entries[k])
+      next[key] = entries
+    }
+  }
+  return next
+}
+
+// An equal stamp comes from the same action, e.g. two steps of one batch
+// writing the same field, and the later step wins
+function newer(a, b) {
+  return !b || a.clock > b.clock || (a.clock === b.clock && a.tabId >= b.tabId)
+}
+
+// The card fields an action writes, for conflict resolution
+function touchedFields(action) {
+  switch (action.type) {
+    case 'UPDATE_CARD':
+      return Object.keys(action.payload.updates ?? {})
+    case 'MOVE_CARD':
+      return ['column']
+    case 'ADD_LABEL':
+    case 'REMOVE_LABEL':
+      return ['labels']
+    case 'UPDATE_CHECKLIST_ITEM':
+      return Object.keys(action.payload.updates ?? {}).map(field => `checklist.${action.payload.itemId}.${field}`)
+    default:
+      return []
+  }
+}
+
+// Fills in anything the reducer would otherwise generate, so replaying the
+// action in another tab produces the same card or board.
+function fillIn(action) {
+  if (action.type === 'BATCH') {
+    return { ...action, payload: { ...action.payload, actions: action.payload.actions.map(fillIn) } }
+  }
+  if (['MOVE_CARD', 'DELETE_COLUMN', 'ARCHIVE_CARDS', 'RESTORE_CARD', 'UPDATE_COMMENT'].includes(action.type)) {
+    return { ...action, payload: { at: new Date().toISOString(), ...action.payload } }
+  }
+  if (action.type === 'CREATE_BOARD') {
+    return { ...action, payload: { createdAt: new Date().toISOString(), ...action.payload } }
+  }
+  if (action.type !== 'ADD_CARD') return action
+  return {
+    ...action,
+    payload: {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...action.payload,
+    },
+  }
+}
+
+// Every dispatched action goes through here, in this tab only: besides
+// fillIn, it stamps `meta.at`, the time history records for the change, so
+// the reducer stays pure and other tabs record the same time.
+export function prepare(action) {
+  return { ...fillIn(action), meta: { at: new Date().toISOString(), ...action.meta } }
+}
+
+// `onRemote(action)` is called with actions from other tabs, already
+// stripped of any field writes that lost to a newer local one. Remote
+// actions carry `meta.remote: true`.
+export function createSync(onRemote) {
+  const tabId = crypto.randomUUID()
+  const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANNEL_NAME)
+  let clock = 0
+  // `${boardId}:${cardId}` -> { field: { clock, tabId } }
+  const stamps = new Map()
+
+  // The steps of a batch are stamped and filtered one by one; only the
+  // losing steps are dropped. Steps carry no boardId of their own.
+  const record = (action, stamp, boardId = action.boardId) => {
+    if (action.type === 'BATCH') {
+      const steps = action.payload.actions.map(step => record(step, stamp, boardId))
+      if (steps.every((step, i) => step === action.payload.actions[i])) return action
+      const actions = steps.filter(Boolean)
+      return actions.length === 0 ? null : { ...action, payload: { ...action.payload, actions } }
+    }
+    const fields = touchedFields(action)
+    if (fields.length === 0) return action
+    const key = `${boardId}:${action.payload.cardId}`
+    const current = stamps.get(key) ?? {}
+    const winners = fields.filter(field => newer(stamp, current[field]))
+    stamps.set(key, { ...current, ...Object.fromEntries(winners.map(field => [field, stamp])) })
+    if (winners.length === fields.length) return action
+    if (winners.length === 0) return null
+    if (action.type === 'UPDATE_CARD') {
+      const updates = Object.fromEntries(winners.map(field => [field, action.payload.updates[field]]))
+      return { ...action, payload: { ...action.payload, updates } }
+    }
+    if (action.type === 'UPDATE_CHECKLIST_ITEM') {
+      const updates = Object.fromEntries(winners.map(field => {
+        const name = field.slice(field.lastIndexOf('.') + 1)
+        return [name, action.payload.updates[name]]
+      }))
+      return { ...action, payload: { ...action.payload, updates } }
+    }
+    return null
+  }
+
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      clock = Math.max(clock, data.stamp.clock)
+      const action = record(data.action, data.stamp)
+      if (action) onRemote({ ...action, meta: { ...action.meta, remote: true } })
+    }
+  }
+
+  const broadcast = (action) => {
+    if (!channel || LOCAL_ONLY.has(action.type)) return
+    const stamp = { clock: ++clock, tabId }
+    record(action, stamp)
+    channel.postMessage({ action, stamp })
+  }
+
+  return {
+    // Stamps and broadcasts a local action; returns it ready to dispatch.
+    send(action) {
+      const prepared = prepare(action)
+      broadcast(prepared)
+      return prepared
+    },
+    // Broadcasts an action to the other tabs without applying it here
+    publish(action) {
+      broadcast(prepare(action))
+    },
+    close() {
+      channel?.close()
+    },
+  }
+}
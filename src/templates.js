@@ -0,0 +1,122 @@
+import { addDays, todayISO } from './dates.js'
+import { weekStart } from './metrics.js'
+
+// Card templates are kept per board:
+//   { id, name, title, description, priority, labels, column, recurrence }
+// `title` is a pattern; see fillTitle. `column` is null for the board's
+// first column. `recurrence` is null, or `{ frequency, start, next, last }`
+// for a card that is created again on a schedule: occurrences are counted
+// from `start`, `next` is the date (YYYY-MM-DD) the next one is due and
+// `last`, once there is one, the date of the last card created.
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly']
+
+export const TITLE_PLACEHOLDERS = ['{title}', '{date}', '{week}', '{month}']
+
+export function makeTemplateId() {
+  return `template-${crypto.randomUUID().slice(0, 8)}`
+}
+
+// Fills a title pattern: {title} is the text typed when the card is created,
+// {date} the creation date, {week} the Monday of its week and {month} its
+// year and month. A pattern without {title} uses the typed text, if any,
+// as the whole title.
+export function fillTitle(pattern, { title = '', date = todayISO() } = {}) {
+  if (title.trim() && !pattern.includes('{title}')) return title.trim()
+  return pattern
+    .replaceAll('{title}', title.trim())
+    .replaceAll('{date}', date)
+    .replaceAll('{week}', weekStart(date))
+    .replaceAll('{month}', date.slice(0, 7))
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+export function findTemplate(state, ref) {
+  const templates = state.templates ?? []
+  return templates.find(t => t.id === ref) ?? templates.find(t => t.name.toLowerCase() === ref.toLowerCase())
+}
+
+// The ADD_CARD payload for a card made from `template`
+export function cardFromTemplate(state, template, { id = crypto.randomUUID(), title, column, date = todayISO() } = {}) {
+  const target = [column, template.column].find(c => c && state.columns.includes(c)) ?? state.columns[0]
+  return {
+    id,
+    title: fillTitle(template.title, { title, date }) || template.name,
+    description: template.description,
+    priority: template.priority,
+    labels: [...template.labels],
+    column: target,
+    createdAt: new Date().toISOString(),
+  }
+}
+
+// The day of the month is kept where the month has it, otherwise the
+// month's last day is used (Jan 31 -> Feb 28)
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number)
+  const first = new Date(Date.UTC(year, month - 1 + months, 1))
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate()
+  first.setUTCDate(Math.min(day, lastDay))
+  return first.toISOString().slice(0, 10)
+}
+
+function occurrence(start, frequency, n) {
+  if (frequency === 'daily') return addDays(start, n)
+  if (frequency === 'weekly') return addDays(start, 7 * n)
+  return addMonths(start, n)
+}
+
+// The first occurrence of a schedule after `date`. Occurrences are counted
+// from `start`, so a monthly card started on the 31st comes back on the
+// 31st whenever the month has one. Occurrences missed while the board was
+// closed are skipped.
+export function nextOccurrence({ frequency, start }, date) {
+  let n = 0
+  while (occurrence(start, frequency, n) <= date) n++
+  return occurrence(start, frequency, n)
+}
+
+// The recurrence for a new or edited schedule: its first occurrence from
+// today on, but never one on or before the last card already created, since
+// the card IDs are made from the date
+export function reschedule(schedule, previous, today = todayISO()) {
+  const yesterday = addDays(today, -1)
+  const last = previous?.last
+  return {
+    ...schedule,
+    ...(last && { last }),
+    next: nextOccurrence(schedule, last > yesterday ? last : yesterday),
+  }
+}
+
+// The last occurrence on or before `date`, which names the card made when
+// earlier ones were missed
+function lastOccurrence({ frequency, start }, date) {
+  let n = 0
+  while (occurrence(start, frequency, n + 1) <= date) n++
+  return occurrence(start, frequency, n)
+}
+
+// A CREATE_RECURRING_CARD action for each recurring template with an
+// occurrence due on or before `today`. The card ID is made from the template
+// and date, so every tab creates the same card.
+export function recurringCardActions(state, today = todayISO()) {
+  return (state.templates ?? [])
+    .filter(t => t.recurrence && t.recurrence.next <= today)
+    .map(template => {
+      const due = template.recurrence.next
+      return {
+        type: 'CREATE_RECURRING_CARD',
+        payload: {
+          templateId: template.id,
+          due,
+          today,
+          card: cardFromTemplate(state, template, {
+            id: `${template.id}-${due}`,
+            date: lastOccurrence(template.recurrence, today),
+          }),
+        },
+      }
+    })
+}